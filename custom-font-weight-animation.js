@@ -1,29 +1,32 @@
 // Font Weight Animation - Automatic Script
+// Embed with <script data-barba-init data-requires="$,SplitType" type="text/plain">
+// Guard and cleanup are handled by window.primal.define (main.js)
 (function() {
-  // 1. Manual guard (prevents double execution)
-  if (window.fontWeightAnimationInitialized) return;
+  // Queued until main.js has loaded (it defines queued modules on start)
+  const define = window.primal?.define || ((name, definition) => {
+    (window.primalDefineQueue = window.primalDefineQueue || []).push([name, definition]);
+  });
   
   // Check if device supports hover (not touch devices)
   const supportsHover = window.matchMedia('(hover: hover)').matches;
   
-  if (typeof window.$ === 'undefined' || typeof window.SplitType === 'undefined') {
-    console.warn('⚠️ Font Weight Animation: Missing dependencies');
-    return;
-  }
-  
-  // Check for GSAP only if hover is supported (needed for animations)
+  // GSAP only drives the hover effect, so it isn't in data-requires (touch devices don't need it)
   if (supportsHover && typeof window.gsap === 'undefined') {
     console.warn('⚠️ Font Weight Animation: Missing GSAP dependency');
     return;
   }
   
-  // 2. Script logic
+  // 1. Script logic
   const maxDistance = 350;
   const maxExpo = -80;
   const minExpo = -20;
   const mobileExpo = -30; // Static weight for mobile devices
   let mouseX = 0;
   let mouseY = 0;
+  let unsubscribeReducedMotion = null;
+  
+  // Reduced motion skips the cursor effect (checked live, can change at any time)
+  const isReducedMotion = () => !!window.prefersReducedMotion?.();
   
   function initFontWeightAnimation() {
     console.log('🎨 Initializing font weight animation...');
@@ -49,13 +52,15 @@
           // Desktop: Initialize with CSS value or default, then add hover interactions
           const initialExpo = parseFloat(getComputedStyle(char).getPropertyValue('--expo')) || 0;
           $(char).data('initialExpo', initialExpo);
-          $(char).css('--expo', initialExpo);
+          $(char).css('--expo', isReducedMotion() ? mobileExpo : initialExpo);
           
           $(char).on('mouseenter.fontWeight', () => {
+            if (isReducedMotion()) return;
             gsap.to(char, { duration: 0.5, css: { '--expo': maxExpo } });
           });
           
           $(char).on('mouseleave.fontWeight', () => {
+            if (isReducedMotion()) return;
             gsap.to(char, { duration: 0.5, css: { '--expo': $(char).data('initialExpo') } });
           });
         } else {
@@ -68,6 +73,7 @@
     // Only set up mouse tracking and animations on hover-supported devices
     if (supportsHover) {
       function updateExpo() {
+        if (isReducedMotion()) return;
         $('[data-animate="font-weight"] .char').each((index, item) => {
           const $item = $(item);
           const pos = $item.offset();
@@ -90,29 +96,37 @@
       });
       
       $(window).on('scroll.fontWeight resize.fontWeight', updateExpo);
+      
+      // Reduced motion: freeze at the static weight, restore initial weight when turned off
+      unsubscribeReducedMotion = window.reducedMotion?.onChange((reduced) => {
+        $('[data-animate="font-weight"] .char').each((index, char) => {
+          gsap.killTweensOf(char);
+          $(char).css('--expo', reduced ? mobileExpo : $(char).data('initialExpo'));
+        });
+      }) || null;
     }
   }
   
-  // 3. Cleanup function
+  // 2. Cleanup function
   function cleanupFontWeightAnimation() {
     console.log('🧹 Cleaning up font weight animation...');
     $(document).off('.fontWeight');
     $(window).off('.fontWeight');
     $('[data-animate="font-weight"] .char').off('.fontWeight');
+    unsubscribeReducedMotion?.();
+    unsubscribeReducedMotion = null;
     mouseX = 0;
     mouseY = 0;
   }
   
-  // 4. Initialize script
-  requestAnimationFrame(() => {
-    requestAnimationFrame(initFontWeightAnimation);
+  // 3. Initialize after paint when the page has font-weight items
+  define('fontWeightAnimation', {
+    selector: '[data-animate="font-weight"]',
+    init() {
+      return new Promise(resolve => {
+        requestAnimationFrame(() => requestAnimationFrame(() => resolve(initFontWeightAnimation())));
+      });
+    },
+    destroy: cleanupFontWeightAnimation
   });
-  
-  // 5. Register cleanup function
-  if (window.instanceRegistry) {
-    window.instanceRegistry.register('fontWeightAnimation', { stop: cleanupFontWeightAnimation }, 'stop');
-  }
-  
-  // 6. Mark as initialized
-  window.fontWeightAnimationInitialized = true;
 })();
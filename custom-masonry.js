@@ -1,15 +1,15 @@
 // Macy Grid - Fully Automatic Script
-<script data-barba-init>
+<script data-barba-init data-requires="Macy" type="text/plain">
 (function() {
   var selector = '[macy-grid="true"]';
   var columns = 4;
   var margin = 24; // Fallback
   var cssGapVariable = '--_responsive-sizes---container-padding';
   
-  // Automatic initialization guard - no manual setup needed
-  if (window.macyInitialized) {
-    return;
-  }
+  // Guard and cleanup are handled by window.primal.define (main.js) - queued until it loads
+  var define = (window.primal && window.primal.define) || function(name, definition) {
+    (window.primalDefineQueue = window.primalDefineQueue || []).push([name, definition]);
+  };
   
   function getCSSVariableValue(variableName) {
     var el = document.querySelector(selector);
@@ -48,82 +48,85 @@
     return getCSSVariableValue(cssGapVariable);
   }
   
-  function init() {
-    var el = document.querySelector(selector);
-    
-    if (!el) {
-      setTimeout(init, 100);
-      return;
-    }
-    
-    // Check if container has proper dimensions
-    var rect = el.getBoundingClientRect();
-    
-    if (rect.height === 0) {
-      setTimeout(init, 100);
-      return;
-    }
-    
-    var currentSpacing = getCurrentSpacing();
-    
-    // Create Macy instance
-    window.macyInstance = Macy({
-      container: el,
-      trueOrder: false,
-      waitForImages: false,
-      margin: { x: currentSpacing, y: currentSpacing },
-      columns: columns,
-      breakAt: {
-        991: { columns: 3, margin: { x: currentSpacing, y: currentSpacing } },
-        767: { columns: 2, margin: { x: currentSpacing, y: currentSpacing } },
-        479: { columns: 1, margin: { x: currentSpacing, y: currentSpacing } }
+  // Wait until the grid has dimensions, then create the Macy instance
+  // Gives up if the page was left in the meantime
+  function createMacy(container) {
+    return new Promise(function(resolve) {
+      function attempt() {
+        if (!container.isConnected) return resolve(null);
+        
+        var el = container.querySelector(selector);
+        
+        // Check if container has proper dimensions
+        if (!el || el.getBoundingClientRect().height === 0) {
+          setTimeout(attempt, 100);
+          return;
+        }
+        
+        var currentSpacing = getCurrentSpacing();
+        
+        resolve(Macy({
+          container: el,
+          trueOrder: false,
+          waitForImages: false,
+          margin: { x: currentSpacing, y: currentSpacing },
+          columns: columns,
+          breakAt: {
+            991: { columns: 3, margin: { x: currentSpacing, y: currentSpacing } },
+            767: { columns: 2, margin: { x: currentSpacing, y: currentSpacing } },
+            479: { columns: 1, margin: { x: currentSpacing, y: currentSpacing } }
+          }
+        }));
       }
-    });
-    
-    // Automatic cleanup registration - no manual setup needed
-    if (window.instanceRegistry) {
-      window.instanceRegistry.register('macy', window.macyInstance, 'remove');
-    }
-    
-    // Mark as initialized
-    window.macyInitialized = true;
-  }
-  
-  // Wait for page to be ready
-  function waitForPaint() {
-    requestAnimationFrame(function() {
+      
+      // Wait for page to be painted
       requestAnimationFrame(function() {
-        setTimeout(init, 50);
+        requestAnimationFrame(function() {
+          setTimeout(attempt, 50);
+        });
       });
     });
   }
   
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', waitForPaint);
-  } else {
-    waitForPaint();
-  }
-  
-  // Resize handler
-  window.addEventListener('resize', function() {
-    if (!window.macyInstance) {
-      init();
-      return;
-    }
-    
+  // Keep spacing in sync with the responsive CSS variable
+  function updateSpacing(macy) {
     var currentSpacing = getCurrentSpacing();
-    window.macyInstance.options.margin = { x: currentSpacing, y: currentSpacing };
+    macy.options.margin = { x: currentSpacing, y: currentSpacing };
     
-    if (window.macyInstance.options.breakAt) {
-      for (var breakpoint in window.macyInstance.options.breakAt) {
-        window.macyInstance.options.breakAt[breakpoint].margin = { 
+    if (macy.options.breakAt) {
+      for (var breakpoint in macy.options.breakAt) {
+        macy.options.breakAt[breakpoint].margin = { 
           x: currentSpacing, 
           y: currentSpacing 
         };
       }
     }
     
-    window.macyInstance.recalculate(true, true);
+    macy.recalculate(true, true);
+  }
+  
+  define('macy', {
+    selector: selector,
+    init: function(container) {
+      var state = { macy: null, onResize: null };
+      
+      return createMacy(container).then(function(macy) {
+        state.macy = macy;
+        window.macyInstance = macy;
+        
+        state.onResize = function() {
+          if (state.macy) updateSpacing(state.macy);
+        };
+        window.addEventListener('resize', state.onResize);
+        
+        return state;
+      });
+    },
+    destroy: function(state) {
+      if (state.onResize) window.removeEventListener('resize', state.onResize);
+      if (state.macy) state.macy.remove();
+      if (window.macyInstance === state.macy) window.macyInstance = null;
+    }
   });
 })();
 </script>
@@ -1,14 +1,26 @@
 // Reel Overlay Hover - Automatic Script
+// Guard and cleanup are handled by window.primal.define (main.js)
 (function() {
   // Check if device supports hover (not touch devices)
   const supportsHover = window.matchMedia('(hover: hover)').matches;
   if (!supportsHover) return;
   
-  // Simple manual guard - prevents double execution
-  if (window.reelOverlayInitialized) return;
+  // Queued until main.js has loaded (it defines queued modules on start)
+  const define = window.primal?.define || ((name, definition) => {
+    (window.primalDefineQueue = window.primalDefineQueue || []).push([name, definition]);
+  });
   
+  /**
+   * Bind triggers and the overlay
+   * @returns {Function[]} - Listener removers (used by cleanup)
+   */
   function initReelOverlayModule() {
     const triggers = document.querySelectorAll('[reel-overlay-trigger="true"]');
+    const removers = [];
+    const listen = (target, type, handler, options) => {
+      target.addEventListener(type, handler, options);
+      removers.push(() => target.removeEventListener(type, handler, options));
+    };
     
     // Reset all bound states to allow re-binding after page transitions
     triggers.forEach(trigger => {
@@ -16,7 +28,7 @@
     });
     
     // Simple global click handler to close overlay on any link click (fixes Safari bug)
-    document.addEventListener('click', (e) => {
+    listen(document, 'click', (e) => {
       if (e.target.closest('a[href]')) {
         // Close all overlays immediately
         document.querySelectorAll('[reel-overlay-target="true"]').forEach(overlay => {
@@ -142,14 +154,17 @@
       };
       
       // Add event listeners
-      trigger.addEventListener('mouseenter', onEnter);
-      trigger.addEventListener('mouseleave', onLeave);
-      overlay.addEventListener('mouseenter', onEnter);
-      overlay.addEventListener('mouseleave', onLeave);
+      listen(trigger, 'mouseenter', onEnter);
+      listen(trigger, 'mouseleave', onLeave);
+      listen(overlay, 'mouseenter', onEnter);
+      listen(overlay, 'mouseleave', onLeave);
+      removers.push(() => clearTimeout(unloadTimer));
       
       // Mark as bound
       trigger.dataset.reelOverlayBound = '1';
     });
+    
+    return removers;
   }
   
   function stopAllReelOverlays() {
@@ -162,24 +177,24 @@
   
   // Wait for page to be fully painted
   function waitForPaint() {
-    requestAnimationFrame(function() {
-      requestAnimationFrame(function() {
-        initReelOverlayModule();
-      });
+    return new Promise(resolve => {
+      requestAnimationFrame(() => requestAnimationFrame(resolve));
     });
   }
   
-  waitForPaint();
-  
-  // Register cleanup function
-  if (window.instanceRegistry) {
-    window.instanceRegistry.register('reelOverlay', { stop: stopAllReelOverlays }, 'stop');
-  }
+  define('reelOverlay', {
+    selector: '[reel-overlay-trigger="true"]',
+    async init() {
+      await waitForPaint();
+      return initReelOverlayModule();
+    },
+    destroy(removers) {
+      stopAllReelOverlays();
+      removers?.forEach(remove => remove());
+    }
+  });
   
   // Export functions for manual use if needed
   window.initReelOverlayModule = initReelOverlayModule;
   window.stopAllReelOverlays = stopAllReelOverlays;
-  
-  // Mark as initialized
-  window.reelOverlayInitialized = true;
-})();
\ No newline at end of file
+})();
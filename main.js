@@ -20,6 +20,411 @@ function afterSwapReady(scope = document) {
 }
 window.afterSwapReady = afterSwapReady;
 
+// ============================================
+// REDUCED MOTION
+// ============================================
+// Central switch for prefers-reduced-motion. Follows the OS setting live and
+// can be overridden manually (persisted in localStorage):
+// window.reducedMotion.setOverride('reduce' | 'no-preference' | null)
+// When enabled: crossfade page transitions, no Lenis smoothing, no load/scroll
+// FX, no loader choreography, no slider autoscroll, no cursor font-weight effect.
+// ============================================
+
+const REDUCED_MOTION_STORAGE_KEY = 'primal-reduced-motion';
+const REDUCED_MOTION_VALUES = ['reduce', 'no-preference'];
+const reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+
+window.reducedMotion = {
+  override: (() => {
+    try {
+      const stored = localStorage.getItem(REDUCED_MOTION_STORAGE_KEY);
+      return REDUCED_MOTION_VALUES.includes(stored) ? stored : null;
+    } catch (e) {
+      return null;
+    }
+  })(),
+  listeners: new Set(),
+
+  isEnabled() {
+    if (this.override) return this.override === 'reduce';
+    return !!reducedMotionQuery?.matches;
+  },
+
+  /**
+   * Force reduced motion on/off regardless of the OS setting
+   * @param {string|null} value - 'reduce', 'no-preference' or null to follow the OS
+   */
+  setOverride(value) {
+    this.override = REDUCED_MOTION_VALUES.includes(value) ? value : null;
+    try {
+      if (this.override) localStorage.setItem(REDUCED_MOTION_STORAGE_KEY, this.override);
+      else localStorage.removeItem(REDUCED_MOTION_STORAGE_KEY);
+    } catch (e) {}
+    this.notify();
+  },
+
+  /**
+   * Subscribe to changes
+   * @param {Function} listener - Called with (isEnabled)
+   * @returns {Function} - Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  notify() {
+    const enabled = this.isEnabled();
+    document.documentElement.classList.toggle('reduced-motion', enabled);
+    this.listeners.forEach(listener => {
+      try { listener(enabled); } catch (e) { console.error('❌ Reduced motion listener error:', e); }
+    });
+  }
+};
+
+/**
+ * Check if reduced motion is active (OS setting or manual override)
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  return window.reducedMotion.isEnabled();
+}
+window.prefersReducedMotion = prefersReducedMotion;
+
+reducedMotionQuery?.addEventListener?.('change', () => window.reducedMotion.notify());
+document.documentElement.classList.toggle('reduced-motion', prefersReducedMotion());
+
+// ============================================
+// TRANSITION SETTINGS
+// ============================================
+// Timings, easings and transforms for page transitions, the initial reveal
+// and the loader. Each key can be overridden (read at transition time, so
+// breakpoints can differ) with, in order of precedence:
+// - data-transition-<key> on the Barba wrapper: data-transition-cover-ease="power2.inOut"
+// - --transition-<key> CSS custom property:     --transition-cover-duration: 0.8s;
+// Durations accept seconds ("0.6", "0.6s") or milliseconds ("600ms").
+// ============================================
+
+const TRANSITION_DEFAULTS = {
+  // Page transitions (leave = cover, enter = reveal)
+  coverEase: 'power4.inOut',
+  coverDuration: 0.6,
+  coverBlurDuration: 0.4,
+  revealEase: 'Expo.Out',
+  revealDuration: 0.6,
+  revealBlurDuration: 0.4,
+  revealBlurDelay: 0.1,
+  blur: '10px',
+  scale: 0.95,
+  y: '-1rem',
+  sharedEase: 'power3.inOut',
+  sharedDuration: 0.8,
+
+  // Alternative registered transitions
+  crossfadeEase: 'power1.out',
+  crossfadeDuration: 0.4,
+  slideDuration: 0.5,
+  slideDistance: '6rem',
+
+  // First load reveal (after the loader)
+  initialEase: 'power2.out',
+  initialFadeDuration: 1,
+  initialDuration: 1.5,
+  initialDelay: 0.35,
+  initialScale: 0.9,
+  initialY: '4rem',
+
+  // Loader timeline
+  loaderContentEase: 'power2.out',
+  loaderContentDuration: 1,
+  loaderContentRiseEase: 'power4.out',
+  loaderContentRiseDuration: 0.7,
+  loaderHold: 1,
+  loaderExitEase: 'power4.inOut',
+  loaderExitDuration: 1
+};
+
+const toKebabCase = (key) => key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+
+/**
+ * Parse a raw setting value to the type of its default
+ */
+function parseTransitionValue(raw, fallback) {
+  const value = raw.trim().replace(/^["']|["']$/g, '');
+  if (typeof fallback !== 'number') return value || fallback;
+
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return fallback;
+  return /ms$/i.test(value) ? number / 1000 : number;
+}
+
+window.transitionSettings = {
+  defaults: TRANSITION_DEFAULTS,
+
+  /**
+   * Resolve a single setting
+   * @param {string} key - Key of TRANSITION_DEFAULTS (e.g. 'coverEase')
+   */
+  read(key, wrapper = document.querySelector('[data-barba="wrapper"]'), styles = null) {
+    const fallback = TRANSITION_DEFAULTS[key];
+    const name = toKebabCase(key);
+
+    const attr = wrapper?.getAttribute(`data-transition-${name}`);
+    if (attr) return parseTransitionValue(attr, fallback);
+
+    const cssValue = (styles || getComputedStyle(wrapper || document.documentElement))
+      .getPropertyValue(`--transition-${name}`);
+    if (cssValue.trim()) return parseTransitionValue(cssValue, fallback);
+
+    return fallback;
+  },
+
+  /**
+   * Resolve all settings (call at animation time, not at load)
+   * @returns {Object} - Same keys as TRANSITION_DEFAULTS
+   */
+  get() {
+    const wrapper = document.querySelector('[data-barba="wrapper"]');
+    const styles = getComputedStyle(wrapper || document.documentElement);
+    return Object.fromEntries(
+      Object.keys(TRANSITION_DEFAULTS).map(key => [key, this.read(key, wrapper, styles)])
+    );
+  }
+};
+
+// ============================================
+// LIFECYCLE EVENT BUS
+// ============================================
+// Lets data-barba-init scripts hook into page transitions without being
+// re-executed. Events: once, beforeLeave, afterLeave, beforeEnter, enter, after
+// Payload: { from, to, url, trigger, current, next } (namespaces, URL, Barba
+// trigger, outgoing/incoming containers)
+// Non-fatal failures are emitted as 'error': { source, module, error, ... }
+//
+// Usage:
+// const off = window.primal.on('beforeLeave', async ({ from, to }) => { ... });
+// document.addEventListener('primal:after', (e) => console.log(e.detail.url));
+//
+// Handlers may return promises - the transition waits for them. DOM listeners
+// can do the same with e.detail.waitUntil(promise).
+// Subscriptions belong to the page when made by a classic data-barba-init
+// script while it runs (released by destroyAll() on leave) or by a module's
+// init() (released with the module). Code that subscribes after an await uses
+// the on() passed to init(container, { on }) - anything else is site-wide.
+// ============================================
+
+const primalListeners = new Map();
+
+// Subscriptions of the module init() running right now (see collectSubscriptions)
+let subscriptionOwner = null;
+
+// Scripts inserted by executeCustomScripts (document.currentScript while they run)
+const pageScriptElements = new WeakSet();
+
+window.primal = window.primal || {};
+
+/**
+ * Subscribe to a lifecycle event
+ * @param {string} name - Event name
+ * @param {Function} handler - Called with the payload, may return a promise
+ * @returns {Function} - Unsubscribe
+ */
+window.primal.on = function on(name, handler) {
+  if (!primalListeners.has(name)) primalListeners.set(name, new Set());
+  primalListeners.get(name).add(handler);
+
+  const off = () => window.primal.off(name, handler);
+  if (subscriptionOwner) {
+    subscriptionOwner.push(off);
+  } else if (pageScriptElements.has(document.currentScript)) {
+    window.instanceRegistry.register(`primal.on:${name}`, { destroy: off });
+  }
+  return off;
+};
+
+/**
+ * Call page code with its synchronous primal.on() subscriptions collected
+ * Only covers code until its first await - later subscriptions go through a scoped on()
+ * @param {Array} subscriptions - Receives the unsubscribe functions
+ * @param {Function} run - Page code
+ * @returns {*} - Result of run
+ */
+function collectSubscriptions(subscriptions, run) {
+  const previous = subscriptionOwner;
+  subscriptionOwner = subscriptions;
+  try {
+    return run();
+  } finally {
+    subscriptionOwner = previous;
+  }
+}
+
+/**
+ * Unsubscribe from a lifecycle event
+ */
+window.primal.off = function off(name, handler) {
+  primalListeners.get(name)?.delete(handler);
+};
+
+/**
+ * Emit a lifecycle event to bus handlers and as a DOM CustomEvent (primal:<name>)
+ * Handler errors are logged and never break the transition
+ * @param {string} name - Event name
+ * @param {Object} payload - Event data
+ * @returns {Promise} - Resolves when all handlers (and waitUntil promises) settle
+ */
+window.primal.emit = async function emit(name, payload = {}) {
+  const pending = [];
+  const track = (promise, source) => {
+    pending.push(Promise.resolve(promise).catch(error => {
+      console.error(`❌ Error in ${source} for "${name}":`, error);
+    }));
+  };
+
+  primalListeners.get(name)?.forEach(handler => {
+    try {
+      track(handler(payload), 'lifecycle handler');
+    } catch (error) {
+      console.error(`❌ Error in lifecycle handler for "${name}":`, error);
+    }
+  });
+
+  document.dispatchEvent(new CustomEvent(`primal:${name}`, {
+    detail: { ...payload, waitUntil: (promise) => track(promise, 'waitUntil') }
+  }));
+
+  await Promise.all(pending);
+};
+
+// ============================================
+// ANALYTICS ADAPTER
+// ============================================
+// Barba navigations don't reload the page, so analytics only see the first
+// hard load. This sends a virtual page view after every transition (with the
+// synced title and URL) to the registered adapters, plus optional
+// 'page_transition' events (duration + navigation source).
+//
+// Enable with <html data-analytics="dataLayer"> (or "console" for local
+// testing), add data-analytics-events="true" for transition events, or:
+// window.primal.analytics.use(window.primal.analyticsAdapters.dataLayer({ events: true }));
+// window.primal.analytics.use({ pageView({ url }) { plausible('pageview', { u: url }); } });
+// ============================================
+
+window.primal.analyticsAdapters = {
+  /**
+   * Google Tag Manager / GA4 via window.dataLayer
+   */
+  dataLayer({ events = false } = {}) {
+    const push = (data) => (window.dataLayer = window.dataLayer || []).push(data);
+    return {
+      name: 'dataLayer',
+      events,
+      pageView({ url, path, title, referrer }) {
+        push({ event: 'virtual_page_view', page_location: url, page_path: path, page_title: title, page_referrer: referrer });
+      },
+      event(name, params) {
+        push({ event: name, ...params });
+      }
+    };
+  },
+
+  /**
+   * Logs to the console instead of sending anything (local testing)
+   */
+  console({ events = true } = {}) {
+    return {
+      name: 'console',
+      events,
+      pageView(data) { console.log('📊 Page view:', data); },
+      event(name, params) { console.log(`📊 Event: ${name}`, params); }
+    };
+  },
+
+  /**
+   * Does nothing (disable tracking without touching the hooks)
+   */
+  noop() {
+    return { name: 'noop', events: false, pageView() {}, event() {} };
+  }
+};
+
+window.primal.analytics = {
+  adapters: [],
+  lastUrl: window.location.href, // First hard load is tracked by the analytics snippet itself
+  navigation: null, // { startedAt, source } of the transition in progress
+
+  /**
+   * Register an adapter: { pageView(data), event?(name, params), events?: boolean }
+   * @returns {Function} - Unregister
+   */
+  use(adapter) {
+    this.adapters.push(adapter);
+    return () => { this.adapters = this.adapters.filter(a => a !== adapter); };
+  },
+
+  send(method, ...args) {
+    this.adapters.forEach(adapter => {
+      if (method === 'event' && !adapter.events) return;
+      try { adapter[method]?.(...args); } catch (e) { console.warn(`⚠️ Analytics adapter ${adapter.name || ''} failed:`, e); }
+    });
+  },
+
+  /**
+   * Describe what started a navigation
+   * @returns {string} - 'back-button' | 'special-nav-button' | 'nav-link' | 'link' | 'programmatic'
+   */
+  getSource(trigger) {
+    if (trigger === 'popstate' || trigger === 'back' || trigger === 'forward') return 'back-button';
+    if (!trigger?.closest) return 'programmatic';
+    if (trigger.hasAttribute('special-nav-button')) return 'special-nav-button';
+    if (trigger.closest('nav, [role="navigation"], .w-nav')) return 'nav-link';
+    return 'link';
+  },
+
+  trackPageView() {
+    const url = window.location.href;
+    this.send('pageView', {
+      url,
+      path: window.location.pathname + window.location.search,
+      title: document.title,
+      referrer: this.lastUrl
+    });
+    this.lastUrl = url;
+  }
+};
+
+// Adapter from <html data-analytics="..."> - opt-in only, a dataLayer alone doesn't enable it
+(function configureAnalytics() {
+  const root = document.documentElement;
+  const name = root.getAttribute('data-analytics');
+  const adapters = window.primal.analyticsAdapters;
+  if (!name || !Object.hasOwn(adapters, name)) return; // Not "constructor", "toString", ...
+  const factory = adapters[name];
+  window.primal.analytics.use(factory({ events: root.getAttribute('data-analytics-events') === 'true' }));
+})();
+
+window.primal.on('beforeLeave', ({ trigger }) => {
+  window.primal.analytics.navigation = {
+    startedAt: performance.now(),
+    source: window.primal.analytics.getSource(trigger)
+  };
+});
+
+window.primal.on('after', ({ from, to }) => {
+  const analytics = window.primal.analytics;
+  analytics.trackPageView();
+
+  if (analytics.navigation) {
+    analytics.send('event', 'page_transition', {
+      duration_ms: Math.round(performance.now() - analytics.navigation.startedAt),
+      navigation_source: analytics.navigation.source,
+      from_namespace: from,
+      to_namespace: to
+    });
+    analytics.navigation = null;
+  }
+});
+
 // ============================================
 // LENIS SCROLL BRIDGE
 // ============================================
@@ -473,13 +878,22 @@ window.stopAllVideoOnScroll = stopAllVideoOnScroll;
  * autoRaf: false because we use GSAP ticker (via installLenisScrollTriggerBridge)
  * This prevents double RAF loops and reduces CPU usage
  */
+const LENIS_LERP = 0.25;
+
 window.lenis = new window.Lenis({
   autoRaf: false,
-  lerp: 0.25,
-  smoothWheel: true,
+  lerp: prefersReducedMotion() ? 1 : LENIS_LERP,
+  smoothWheel: !prefersReducedMotion(),
   smoothTouch: true
 });
 
+// Reduced motion: disable smoothing (lerp 1 = jump straight to target)
+window.reducedMotion.onChange((reduced) => {
+  if (!window.lenis?.options) return;
+  window.lenis.options.lerp = reduced ? 1 : LENIS_LERP;
+  window.lenis.options.smoothWheel = !reduced;
+});
+
 // If stop-scroll is active (from loader in head), keep Lenis stopped
 if (document.documentElement.classList.contains('stop-scroll')) {
   window.lenis.stop();
@@ -626,86 +1040,363 @@ document.addEventListener("DOMContentLoaded", function () {
 // - data-barba-css: Inject custom CSS
 // ============================================
 
+// ============================================
+// PAGE DOCUMENT CACHE
+// ============================================
+// One parsed Document per URL (hash ignored), shared by loadAssetsFromHTML,
+// executeCustomCSS, executeCustomScripts and syncHtmlAndBodyFromHTML.
+// Sources, in order: HTML Barba already has (next.html), Barba's prefetch
+// cache, a single fetch. The first page is served from the live document
+// until the first leave.
+// ============================================
+
+const PAGE_CACHE_LIMIT = 20;
+const pageDocuments = new Map();
+
 /**
- * Load external script dynamically
+ * Normalize a URL to a cache key (absolute, without hash)
+ */
+function pageCacheKey(url = window.location.href) {
+  const parsed = new URL(url, window.location.href);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Parse an HTML string (Documents are passed through)
+ */
+function toPageDocument(source) {
+  if (!source) return null;
+  if (typeof source !== 'string') return source;
+  return new DOMParser().parseFromString(source, 'text/html');
+}
+
+/**
+ * Store a document promise, evicting the oldest entry over the limit
+ */
+function storePageDocument(key, promise) {
+  pageDocuments.delete(key);
+  pageDocuments.set(key, promise);
+  if (pageDocuments.size > PAGE_CACHE_LIMIT) {
+    pageDocuments.delete(pageDocuments.keys().next().value);
+  }
+  return promise;
+}
+
+/**
+ * Read HTML from Barba's own cache (filled by barba.prefetch)
+ * Barba versions resolve the request to either a string or { html }.
+ * A failed Barba request resolves to undefined - rejected so the caller fetches instead.
+ */
+function readBarbaCache(key) {
+  const entry = window.barba?.cache?.get?.(key);
+  if (!entry?.request) return null;
+  return Promise.resolve(entry.request).then(result => {
+    const html = typeof result === 'string' ? result : result?.html;
+    if (!html) throw new Error(`No cached HTML for ${key}`);
+    return html;
+  });
+}
+
+/**
+ * Get the parsed document for a page
+ * @param {string} url - Page URL (defaults to the current URL)
+ * @param {string} html - HTML already fetched by Barba; replaces any cached copy
+ * @returns {Promise<Document>}
+ */
+function getPageDocument(url = window.location.href, html = null) {
+  const key = pageCacheKey(url);
+
+  if (html) {
+    return storePageDocument(key, Promise.resolve(toPageDocument(html)));
+  }
+
+  if (pageDocuments.has(key)) return pageDocuments.get(key);
+
+  const request = (readBarbaCache(key) || Promise.reject())
+    .catch(() => fetch(key, { credentials: 'include' }).then(r => {
+      if (!r.ok) throw new Error(`Failed to fetch page: ${key} (${r.status})`);
+      return r.text();
+    }))
+    .then(html => {
+      const doc = toPageDocument(html);
+      if (!doc) throw new Error(`Empty page: ${key}`);
+      return doc;
+    });
+
+  // Failed or empty requests must not stay cached
+  request.catch(() => pageDocuments.delete(key));
+  return storePageDocument(key, request);
+}
+window.getPageDocument = getPageDocument;
+
+// First page: the live document is the source, no request needed.
+// It stops matching that URL once the first swap starts, so evict it on leave.
+const livePageKey = pageCacheKey();
+const livePageDocument = storePageDocument(livePageKey, Promise.resolve(document));
+const offLivePageDocument = window.primal.on('beforeLeave', () => {
+  offLivePageDocument();
+  if (pageDocuments.get(livePageKey) === livePageDocument) pageDocuments.delete(livePageKey);
+});
+
+const ASSET_TIMEOUT = 10000;
+const ASSET_RETRY_DELAY = 500;
+const ASSET_PASSTHROUGH_ATTRIBUTES = ['integrity', 'crossorigin', 'referrerpolicy'];
+
+// Loads in progress or done, keyed by normalized URL
+const assetLoads = new Map();
+
+/**
+ * Normalize an asset URL for deduping (absolute, without hash)
+ * @param {string} base - URL relative paths resolve against (default: current page)
+ */
+function normalizeAssetUrl(url, base = window.location.href) {
+  const parsed = new URL(url, base);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Find an asset already in the live document (e.g. from the first page load)
+ */
+function findLoadedAsset(selector, attribute, url) {
+  return Array.from(document.querySelectorAll(selector))
+    .find(el => el.getAttribute(attribute) && normalizeAssetUrl(el.getAttribute(attribute)) === url);
+}
+
+/**
+ * Append an element and wait for load, with a timeout
+ * The element is removed again if it fails; error.before keeps its place for a retry.
+ * A script that times out stays: removing it wouldn't stop the browser from running
+ * it once downloaded, so it is not retried (error.retryable = false).
+ * @param {Node} before - Insert before this <head> node (default: at the end)
+ * @returns {Promise<Element>} - Rejects with an Error
  */
-function loadScript(src) {
+function appendAsset(element, url, kind, before = null) {
   return new Promise((resolve, reject) => {
-    if (document.querySelector(`script[src="${src}"]`)) {
-      resolve();
-      return;
+    const timer = setTimeout(() => {
+      if (kind !== 'script') return fail(`Timed out loading ${kind}: ${url}`);
+      element.onload = element.onerror = null;
+      const error = new Error(`Timed out loading ${kind}: ${url}`);
+      error.retryable = false;
+      reject(error);
+    }, ASSET_TIMEOUT);
+    function fail(message) {
+      clearTimeout(timer);
+      const error = new Error(message);
+      error.before = element.nextSibling;
+      element.remove();
+      reject(error);
     }
-
-    const script = document.createElement('script');
-    script.src = src;
-    script.onload = () => resolve();
-    script.onerror = () => {
-      console.error(`Failed to load script: ${src}`);
-      reject();
+    element.onload = () => {
+      clearTimeout(timer);
+      resolve(element);
     };
-    document.head.appendChild(script);
+    element.onerror = () => fail(`Failed to load ${kind}: ${url}`);
+    document.head.insertBefore(element, before?.parentNode === document.head ? before : null);
+  });
+}
+
+/**
+ * Run a loader, retrying once after ASSET_RETRY_DELAY
+ * The retry is inserted where the failed element was (keeps the cascade order)
+ */
+async function withRetry(load) {
+  try {
+    return await load();
+  } catch (error) {
+    if (error.retryable === false) throw error;
+    console.warn(`⚠️ ${error.message} - retrying`);
+    await new Promise(resolve => setTimeout(resolve, ASSET_RETRY_DELAY));
+    return load(error.before);
+  }
+}
+
+/**
+ * Copy SRI/crossorigin/referrerpolicy from the page's original tag
+ */
+function copyAssetAttributes(from, to) {
+  if (!from) return;
+  ASSET_PASSTHROUGH_ATTRIBUTES.forEach(attr => {
+    if (from.hasAttribute(attr)) to.setAttribute(attr, from.getAttribute(attr));
   });
 }
 
+/**
+ * Load external script dynamically
+ * @param {string} src - Script URL
+ * @param {Element} source - Original tag (attributes are copied over)
+ * @returns {Promise} - Rejects with an Error after one retry (no retry after a timeout)
+ */
+function loadScript(src, source = null) {
+  const url = normalizeAssetUrl(src);
+  if (assetLoads.has(url)) return assetLoads.get(url);
+  if (findLoadedAsset('script[src]', 'src', url)) return Promise.resolve();
+
+  const load = (before) => {
+    const script = document.createElement('script');
+    copyAssetAttributes(source, script);
+    script.async = false;
+    script.src = url;
+    return appendAsset(script, url, 'script', before);
+  };
+
+  const promise = withRetry(load);
+  assetLoads.set(url, promise);
+  promise.catch(() => assetLoads.delete(url));
+  return promise;
+}
+
 /**
  * Load external CSS dynamically
+ * data-barba-scope="page" on the original tag: removed when a page without it is entered (see executeCustomCSS)
+ * @param {string} href - Stylesheet URL
+ * @param {Element} source - Original tag (attributes are copied over)
+ * @returns {Promise} - Rejects with an Error after a timeout + one retry
  */
-function loadCSS(href) {
-  return new Promise((resolve, reject) => {
-    if (document.querySelector(`link[href="${href}"]`)) {
-      resolve();
-      return;
-    }
+function loadCSS(href, source = null) {
+  const url = normalizeAssetUrl(href);
+  if (assetLoads.has(url)) return assetLoads.get(url);
+  if (findLoadedAsset('link[rel="stylesheet"][href]', 'href', url)) return Promise.resolve();
 
+  const load = (before) => {
     const link = document.createElement('link');
+    copyAssetAttributes(source, link);
     link.rel = 'stylesheet';
-    link.href = href;
-    link.onload = () => resolve();
-    link.onerror = () => {
-      console.error(`Failed to load CSS: ${href}`);
-      reject();
-    };
-    document.head.appendChild(link);
-  });
+    link.href = url;
+    if (source?.getAttribute('data-barba-scope') === 'page') link.setAttribute('data-barba-scope', 'page');
+    return appendAsset(link, url, 'CSS', before);
+  };
+
+  const promise = withRetry(load);
+  assetLoads.set(url, promise);
+  promise.catch(() => assetLoads.delete(url));
+  return promise;
+}
+
+/**
+ * Report a failed asset without stopping the others
+ */
+function reportAssetError(url, error) {
+  console.error(`❌ ${error.message}`);
+  window.primal.emit('error', { source: 'asset', url, error });
 }
 
 /**
- * Load scripts and CSS from HTML content
+ * Load scripts and CSS from a page
+ * - CSS in parallel (appended in document order, so the cascade is kept)
+ * - Scripts in document order; tags with async load in parallel
+ * - Failures are reported per asset; the page still renders
+ * @param {Document|string} source - Page document or HTML string
  */
-async function loadAssetsFromHTML(htmlString) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(htmlString, 'text/html');
+async function loadAssetsFromHTML(source) {
+  const doc = toPageDocument(source);
+  if (!doc) return;
   
   // Load CSS first
-  const cssLinks = doc.querySelectorAll('link[href][data-barba-load]');
-  console.log(`🎨 Loaded ${cssLinks.length} external CSS libraries`);
-  for (const link of cssLinks) {
-    await loadCSS(link.href);
-  }
+  const cssLinks = Array.from(doc.querySelectorAll('link[href][data-barba-load]'));
+  console.log(`🎨 Loading ${cssLinks.length} external CSS libraries`);
+  await Promise.all(cssLinks.map(link => (
+    loadCSS(link.getAttribute('href'), link).catch(error => reportAssetError(link.href, error))
+  )));
   
   // Then load scripts
-  const scripts = doc.querySelectorAll('script[src][data-barba-load]');
-  console.log(`📦 Loaded ${scripts.length} external libraries`);
+  const scripts = Array.from(doc.querySelectorAll('script[src][data-barba-load]'));
+  console.log(`📦 Loading ${scripts.length} external libraries`);
+  const asyncLoads = [];
   for (const script of scripts) {
-    await loadScript(script.src);
+    const load = loadScript(script.getAttribute('src'), script)
+      .catch(error => reportAssetError(script.src, error));
+    if (script.hasAttribute('async')) asyncLoads.push(load);
+    else await load;
   }
+  await Promise.all(asyncLoads);
 }
 
 /**
  * Instance Registry for automatic cleanup
  * Tracks and manages all page-specific instances
+ * - Several instances per name (each gets an id: "macy#3")
+ * - Optional container scope: destroyScope(container) tears down only that page
+ * - destroy methods may return a promise (awaited, capped by INSTANCE_DESTROY_TIMEOUT)
+ * - States: registered → initialized → destroyed (kept in a short history for debugging)
  */
+const INSTANCE_DESTROY_TIMEOUT = 3000;
+const INSTANCE_HISTORY_LIMIT = 50;
+let instanceCounter = 0;
+
 window.instanceRegistry = {
-  instances: new Map(),
+  instances: new Map(),  // id → { id, name, instance, destroyMethod, container, state, created }
+  destroyed: new Map(),  // id → { id, name, state, created, destroyedAt } (no instance reference)
   initializedScripts: new Set(),
   
-  register(name, instance, destroyMethod = 'destroy') {
-    this.instances.set(name, {
+  /**
+   * Register an instance for cleanup
+   * @param {string} name - Instance name (not required to be unique)
+   * @param {Object} instance - Object with a destroy method
+   * @param {string|Object} options - Destroy method name, or { destroyMethod, container, initialized }
+   * @returns {string} - Instance id
+   */
+  register(name, instance, options = 'destroy') {
+    const { destroyMethod = 'destroy', container = null, initialized = true } =
+      typeof options === 'string' ? { destroyMethod: options } : options;
+    const id = `${name}#${++instanceCounter}`;
+
+    this.instances.set(id, {
+      id,
+      name,
       instance,
       destroyMethod,
+      container,
+      state: initialized ? 'initialized' : 'registered',
       created: Date.now()
     });
-    console.log(`📝 Registered instance: ${name}`);
+    console.log(`📝 Registered instance: ${id}`);
+    return id;
+  },
+
+  /**
+   * Mark an instance registered with { initialized: false } as ready
+   */
+  markInitialized(id) {
+    const entry = this.instances.get(id);
+    if (entry) entry.state = 'initialized';
+  },
+
+  /**
+   * Live entries by id or name
+   */
+  find(idOrName) {
+    const byId = this.instances.get(idOrName);
+    if (byId) return [byId];
+    return Array.from(this.instances.values()).filter(entry => entry.name === idOrName);
+  },
+
+  /**
+   * Lifecycle state of an instance id (or of every instance with a name)
+   * @returns {string|Array|null} - 'registered' | 'initialized' | 'destroying' | 'destroyed'
+   */
+  getState(idOrName) {
+    const entry = this.instances.get(idOrName) || this.destroyed.get(idOrName);
+    if (entry) return entry.state;
+
+    const states = [...this.instances.values(), ...this.destroyed.values()]
+      .filter(item => item.name === idOrName)
+      .map(item => ({ id: item.id, state: item.state }));
+    return states.length ? states : null;
+  },
+
+  has(name) {
+    return this.find(name).length > 0;
+  },
+
+  /**
+   * Snapshot of live instances (for debugging)
+   */
+  list() {
+    return Array.from(this.instances.values()).map(({ id, name, state, container, created }) => ({
+      id, name, state, container, created
+    }));
   },
   
   isScriptInitialized(scriptId) {
@@ -716,144 +1407,491 @@ window.instanceRegistry = {
     this.initializedScripts.add(scriptId);
     console.log(`🔒 Marked script as initialized: ${scriptId}`);
   },
-  
-  destroyAll() {
-    console.log(`🧹 Destroying ${this.instances.size} registered instances`);
-    
-    for (const [name, data] of this.instances) {
-      try {
-        if (data.instance && typeof data.instance[data.destroyMethod] === 'function') {
-          data.instance[data.destroyMethod]();
-          console.log(`✅ Destroyed: ${name}`);
-        }
-      } catch (error) {
-        console.error(`❌ Error destroying ${name}:`, error);
-      }
-    }
-    
-    this.instances.clear();
-    
-    // Reset all initialization flags for page transitions
-    this.initializedScripts.clear();
-    // Reset specific script flags
-    window.macyInitialized = false;
-    window.reelOverlayInitialized = false;
-    window.valuesSliderInitialized = false;
-    window.fontWeightAnimationInitialized = false;
-    console.log(`🔄 Reset all script initialization flags`);
-  }
+
+  /**
+   * Destroy one entry, waiting at most INSTANCE_DESTROY_TIMEOUT for async teardown
+   * Calls while a destroy is in flight get the same promise
+   */
+  destroyEntry(entry) {
+    if (entry.state === 'destroyed') return Promise.resolve();
+    if (!entry.destroying) entry.destroying = this.teardownEntry(entry);
+    return entry.destroying;
+  },
+
+  async teardownEntry(entry) {
+    entry.state = 'destroying';
+
+    try {
+      const method = entry.instance?.[entry.destroyMethod];
+      if (typeof method === 'function') {
+        let timer;
+        const timeout = new Promise(resolve => {
+          timer = setTimeout(() => resolve('timeout'), INSTANCE_DESTROY_TIMEOUT);
+        });
+        const outcome = await Promise.race([Promise.resolve(method.call(entry.instance)), timeout]);
+        clearTimeout(timer);
+
+        if (outcome === 'timeout') {
+          console.warn(`⚠️ Destroy of ${entry.id} timed out after ${INSTANCE_DESTROY_TIMEOUT}ms`);
+        } else {
+          console.log(`✅ Destroyed: ${entry.id}`);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Error destroying ${entry.id}:`, error);
+    }
+
+    entry.state = 'destroyed';
+    this.instances.delete(entry.id);
+    this.destroyed.set(entry.id, {
+      id: entry.id,
+      name: entry.name,
+      state: 'destroyed',
+      created: entry.created,
+      destroyedAt: Date.now()
+    });
+    if (this.destroyed.size > INSTANCE_HISTORY_LIMIT) {
+      this.destroyed.delete(this.destroyed.keys().next().value);
+    }
+  },
+
+  /**
+   * Destroy a single instance (by id) or all instances with a name
+   */
+  async destroy(idOrName) {
+    await Promise.all(this.find(idOrName).map(entry => this.destroyEntry(entry)));
+  },
+
+  /**
+   * Destroy the instances registered for a container
+   */
+  async destroyScope(container) {
+    const entries = Array.from(this.instances.values()).filter(entry => entry.container === container);
+    await Promise.all(entries.map(entry => this.destroyEntry(entry)));
+  },
+  
+  async destroyAll() {
+    const entries = Array.from(this.instances.values());
+    console.log(`🧹 Destroying ${entries.length} registered instances`);
+    
+    // Reset all initialization guards for page transitions
+    this.initializedScripts.clear();
+    resetModuleGuards();
+    console.log(`🔄 Reset all script and module guards`);
+    
+    await Promise.all(entries.map(entry => this.destroyEntry(entry)));
+  }
 };
 
+/**
+ * Hash a string (FNV-1a, 32-bit) for stable script identities
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Describe a script for logs (src, else its first line)
+ */
+function describeScript(script) {
+  if (script.hasAttribute('src')) return script.getAttribute('src');
+  const firstLine = script.textContent.trim().split('\n')[0] || '(empty)';
+  return firstLine.length > 50 ? `${firstLine.slice(0, 50)}…` : firstLine;
+}
+
+/**
+ * Identity of a custom script: action + hash of type, src and content
+ * Independent of position, so reordering a page keeps identities
+ */
+function getScriptId(script, action) {
+  const type = script.type === 'module' ? 'module' : 'classic';
+  const src = script.hasAttribute('src') ? new URL(script.getAttribute('src'), window.location.href).href : '';
+  return `${action}_${hashString(`${type}|${src}|${script.textContent}`)}`;
+}
+
+// Module namespaces by src URL or inline content hash: imported once per session
+const importedModules = new Map();
+
+/**
+ * Run a classic script in global scope
+ * Errors thrown while it runs are caught through the window error event
+ * @returns {Promise} - Rejects with the script's error
+ */
+function runClassicScript(script) {
+  return new Promise((resolve, reject) => {
+    const element = document.createElement('script');
+    pageScriptElements.add(element); // Its primal.on() calls belong to the page
+    let scriptError = null;
+    const onError = (event) => {
+      if (element.src && event.filename && event.filename !== element.src) return;
+      scriptError = event.error || new Error(event.message);
+      event.preventDefault();
+    };
+    const finish = () => {
+      window.removeEventListener('error', onError);
+      element.remove();
+      scriptError ? reject(scriptError) : resolve();
+    };
+
+    window.addEventListener('error', onError);
+
+    if (script.hasAttribute('src')) {
+      ['crossorigin', 'integrity', 'referrerpolicy', 'nonce'].forEach(attr => {
+        if (script.hasAttribute(attr)) element.setAttribute(attr, script.getAttribute(attr));
+      });
+      element.async = false;
+      element.src = new URL(script.getAttribute('src'), window.location.href).href;
+      element.onload = finish;
+      element.onerror = () => {
+        scriptError = new Error(`Failed to load script: ${element.src}`);
+        finish();
+      };
+      document.head.appendChild(element);
+    } else {
+      // Inline scripts run synchronously on insertion
+      element.textContent = script.textContent;
+      document.head.appendChild(element);
+      finish();
+    }
+  });
+}
+
+/**
+ * Import a module script (awaits top-level await)
+ * Inline modules are imported from a blob URL, so imports must be absolute URLs
+ */
+async function importModuleScript(script) {
+  if (script.hasAttribute('src')) {
+    return import(new URL(script.getAttribute('src'), window.location.href).href);
+  }
+
+  const blobUrl = URL.createObjectURL(new Blob([script.textContent], { type: 'text/javascript' }));
+  try {
+    return await import(blobUrl);
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+/**
+ * Run a module script
+ * Modules are evaluated once (HTTP cache and module state are kept); an exported
+ * init(container, { on }) runs on every page, its subscriptions released by destroyAll()
+ */
+async function runModuleScript(script) {
+  const key = script.hasAttribute('src')
+    ? new URL(script.getAttribute('src'), window.location.href).href
+    : `inline:${hashString(script.textContent)}`;
+
+  if (!importedModules.has(key)) {
+    const imported = importModuleScript(script);
+    importedModules.set(key, imported);
+    imported.catch(() => importedModules.delete(key)); // A failed import may be retried
+  }
+
+  const namespace = await importedModules.get(key);
+  if (typeof namespace.init !== 'function') return;
+
+  const subscriptions = [];
+  const on = (name, handler) => collectSubscriptions(subscriptions, () => window.primal.on(name, handler));
+  window.instanceRegistry.register('primal.on:module', { destroy: () => subscriptions.splice(0).forEach(off => off()) });
+  await collectSubscriptions(subscriptions, () => namespace.init(getBarbaContainer(), { on }));
+}
+
+const SCRIPT_REQUIRES_TIMEOUT = 5000;
+
+/**
+ * Resolve a global by dotted path ("gsap", "Webflow.require")
+ */
+function resolveGlobal(path) {
+  return path.split('.').reduce((value, key) => value?.[key], window);
+}
+
+/**
+ * Wait until every global listed in data-requires="gsap,Observer" exists
+ * Timeout per script: data-requires-timeout (ms), else SCRIPT_REQUIRES_TIMEOUT
+ * @returns {Promise} - Rejects naming the globals that never arrived
+ */
+function waitForRequirements(script) {
+  const requires = (script.getAttribute('data-requires') || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  const timeout = parseInt(script.getAttribute('data-requires-timeout'), 10) || SCRIPT_REQUIRES_TIMEOUT;
+  const getMissing = () => requires.filter(name => resolveGlobal(name) === undefined);
+
+  if (!getMissing().length) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const started = performance.now();
+    const check = () => {
+      const missing = getMissing();
+      if (!missing.length) return resolve();
+      if (performance.now() - started >= timeout) {
+        reject(new Error(`Missing dependencies: ${missing.join(', ')} (waited ${timeout}ms)`));
+        return;
+      }
+      setTimeout(check, 50);
+    };
+    check();
+  });
+}
+
+// First-load pass: scripts in the live document were already run by the browser.
+// Scripts that must wait for data-requires use type="text/plain" so only we run them.
+let initialScriptsHandled = false;
+const EXECUTABLE_SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+
 /**
  * Execute custom scripts by data attribute
  * Enhanced version with automatic double-execution prevention
  * Looks for scripts with data-barba-init or data-barba-destroy attributes
- * Can extract scripts from HTML string or current document
+ * - Inline, src and type="module" scripts
+ * - Run one after another in document order; src/module scripts are awaited
+ * - data-requires="gsap,Observer" waits for those globals first (with a timeout)
+ * - type="text/plain" scripts are run as classic scripts (the browser never runs them)
+ * - A failing script is reported (console + 'error' lifecycle event) and the rest still run
+ * @param {string} action - 'init' or 'destroy'
+ * @param {Document|string} source - Page document or HTML string (defaults to current document)
+ * @returns {Promise<Array>} - [{ id, status: 'executed' | 'skipped' | 'failed', error? }]
  */
-function executeCustomScripts(action = 'init', htmlString = null) {
+async function executeCustomScripts(action = 'init', source = null) {
   const attribute = action === 'init' ? 'data-barba-init' : 'data-barba-destroy';
-  let scripts = [];
-  
-  if (htmlString) {
-    // Extract scripts from HTML string (for page transitions)
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(htmlString, 'text/html');
-    scripts = Array.from(doc.querySelectorAll(`script[${attribute}]`));
-  } else {
-    // Use current document (for first page load)
-    scripts = Array.from(document.querySelectorAll(`script[${attribute}]`));
-  }
+  const doc = toPageDocument(source) || document;
+  const scripts = Array.from(doc.querySelectorAll(`script[${attribute}]`));
+  const results = [];
+
+  const isInitialPass = action === 'init' && doc === document && !initialScriptsHandled;
+  if (action === 'init' && doc === document) initialScriptsHandled = true;
   
   console.log(`📦 Executing ${scripts.length} custom scripts`);
   
-  scripts.forEach((script, index) => {
-    // Simple ID generation: action + index + first 20 chars of content
-    const content = script.textContent || script.innerText || '';
-    const scriptId = `${action}_${index}_${content.slice(0, 20).replace(/\s/g, '')}`;
+  for (const script of scripts) {
+    const scriptId = getScriptId(script, action);
+    const label = `${scriptId} (${describeScript(script)})`;
     
     // Check if script is already initialized
     if (window.instanceRegistry.isScriptInitialized(scriptId)) {
-      console.log(`⏭️ Skipping already initialized script: ${scriptId}`);
-      return;
+      console.log(`⏭️ Skipping already initialized script: ${label}`);
+      results.push({ id: scriptId, status: 'skipped' });
+      continue;
+    }
+    
+    // Already run by the browser - running it again would bind everything twice
+    const ranNatively = EXECUTABLE_SCRIPT_TYPES.includes(script.type.trim().toLowerCase());
+    if (isInitialPass && ranNatively) {
+      if (script.hasAttribute('data-requires')) {
+        console.warn(`⚠️ ${label} ran before its data-requires were checked - add type="text/plain"`);
+      }
+      window.instanceRegistry.markScriptInitialized(scriptId);
+      results.push({ id: scriptId, status: 'skipped' });
+      continue;
     }
     
-    // Mark script as initialized
-    window.instanceRegistry.markScriptInitialized(scriptId);
+    // Nothing to run - still counted, so the debug panel lists every script
+    if (!script.hasAttribute('src') && !script.textContent.trim()) {
+      window.instanceRegistry.markScriptInitialized(scriptId);
+      results.push({ id: scriptId, status: 'skipped' });
+      continue;
+    }
     
     try {
-      // Execute the script content
-      const scriptContent = script.textContent || script.innerText;
-      if (scriptContent.trim()) {
-        // Create a new script element to execute in global scope
-        const newScript = document.createElement('script');
-        
-        // Wrap script content to handle missing destroy methods
-        const wrappedScript = `
-          try {
-            ${scriptContent}
-          } catch (error) {
-            if (error.message && error.message.includes('destroy is not a function')) {
-              console.warn('Destroy method not available - skipping cleanup');
-            } else {
-              throw error;
-            }
-          }
-        `;
-        
-        newScript.textContent = wrappedScript;
-        document.head.appendChild(newScript);
-        document.head.removeChild(newScript);
-        console.log(`✅ Executed script: ${scriptId}`);
-      }
+      await waitForRequirements(script);
+      await (script.type === 'module' ? runModuleScript(script) : runClassicScript(script));
+      // Only after success - a failed script (e.g. missing dependencies) may run on a later pass
+      window.instanceRegistry.markScriptInitialized(scriptId);
+      console.log(`✅ Executed script: ${label}`);
+      results.push({ id: scriptId, status: 'executed' });
     } catch (error) {
-      console.error(`❌ Error executing script: ${scriptId}`, error);
+      console.error(`❌ Error executing script: ${label}`, error);
+      window.primal.emit('error', { source: 'script', id: scriptId, script: describeScript(script), error });
+      results.push({ id: scriptId, status: 'failed', error });
     }
-  });
+  }
+
+  return results;
+}
+
+// Selectors that can't live inside the container stay unscoped
+const UNSCOPED_SELECTOR = /^(:root|html|body)(?![\w-])/;
+
+/**
+ * Split a selector list on top-level commas (keeps :is(a, b) intact)
+ */
+function splitSelectorList(selectorText) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of selectorText) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// replaceSync() drops @import rules, so they are hoisted out before scoping
+const CSS_IMPORT_RULE = /@import\s[^;]+;/gi;
+
+/**
+ * Prefix every rule with the page's namespace: [data-barba-namespace="work"] .hero
+ * Falls back to the unscoped CSS if the browser can't parse it (no constructable stylesheets)
+ * @import rules are kept at the top; the stylesheets they pull in stay unscoped.
+ */
+function scopeCSSToNamespace(css, namespace) {
+  if (!namespace || typeof CSSStyleSheet !== 'function') return css;
+
+  const imports = css.match(CSS_IMPORT_RULE) || [];
+  const sheet = new CSSStyleSheet();
+  try {
+    sheet.replaceSync(css.replace(CSS_IMPORT_RULE, ''));
+  } catch (error) {
+    return css;
+  }
+
+  const prefix = `[data-barba-namespace="${CSS.escape(namespace)}"]`;
+  const scopeRules = (rules) => Array.from(rules).map(rule => {
+    if (rule instanceof CSSStyleRule) {
+      const selector = splitSelectorList(rule.selectorText)
+        .map(part => (UNSCOPED_SELECTOR.test(part) ? part : `${prefix} ${part}`))
+        .join(', ');
+      // Nested rules are relative to this one, so they keep their selectors
+      const nested = Array.from(rule.cssRules || [], child => child.cssText).join(' ');
+      return `${selector} { ${rule.style.cssText} ${nested} }`;
+    }
+    // Grouping rules (@media, @supports, @container, @layer blocks, ...): scope their contents.
+    // @keyframes and @page hold no selectors.
+    if (rule.cssRules && !rule.style && !(rule instanceof CSSKeyframesRule)) {
+      const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{')).trim();
+      return `${prelude} { ${scopeRules(rule.cssRules)} }`;
+    }
+    return rule.cssText; // @keyframes, @font-face, @layer statements, ...
+  }).join('\n');
+
+  if (imports.length) console.warn(`⚠️ @import in scoped page CSS stays unscoped: ${imports.join(' ')}`);
+  return [...imports, scopeRules(sheet.cssRules)].join('\n');
 }
 
 /**
  * Extract and inject custom CSS by data attribute
  * Looks for style tags with data-barba-css attribute
+ * Diffed against what is already injected (by content hash):
+ * - Styles shared with the previous page stay in place
+ * - New styles are appended
+ * - Outgoing-only styles are removed (called from beforeEnter, old container already hidden)
+ * data-barba-css-scope="namespace" prefixes the rules with the page's Barba namespace.
+ * @param {Document|string} source - Page document or HTML string (defaults to current document)
+ * @param {Object} options - { diff: false } only adds (source is partial, nothing is removed)
  */
-function executeCustomCSS(htmlString = null) {
-  let styles = [];
-  
-  if (htmlString) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(htmlString, 'text/html');
-    styles = Array.from(doc.querySelectorAll('style[data-barba-css]'));
-  } else {
-    styles = Array.from(document.querySelectorAll('style[data-barba-css]'));
-  }
+function executeCustomCSS(source = null, { diff = true } = {}) {
+  const doc = toPageDocument(source) || document;
+  const styles = Array.from(doc.querySelectorAll('style[data-barba-css]'));
+  const container = doc.querySelector('[data-barba="container"]');
+  const namespace = container?.getAttribute('data-barba-namespace') || null;
+
+  // Styles injected for the previous page, by hash
+  const injected = new Map();
+  document.querySelectorAll('style[data-barba-injected="true"]').forEach((style) => {
+    injected.set(style.getAttribute('data-barba-css-hash'), style);
+  });
   
+  const wanted = new Set();
   let injectedCount = 0;
   
   styles.forEach((style) => {
+    // Already managed (only seen when re-reading the live document)
+    if (style.hasAttribute('data-barba-injected')) {
+      wanted.add(style.getAttribute('data-barba-css-hash'));
+      return;
+    }
+
     try {
       const cssContent = style.textContent || style.innerText;
-      if (cssContent.trim()) {
-        const newStyle = document.createElement('style');
-        newStyle.textContent = cssContent;
-        newStyle.setAttribute('data-barba-injected', 'true');
-        document.head.appendChild(newStyle);
-        injectedCount++;
+      if (!cssContent.trim()) return;
+
+      const css = style.getAttribute('data-barba-css-scope') === 'namespace'
+        ? scopeCSSToNamespace(cssContent, namespace)
+        : cssContent;
+      const hash = hashString(css);
+      wanted.add(hash);
+
+      // Shared with the previous page: keep it (no teardown + re-parse)
+      if (injected.has(hash)) return;
+
+      // First page: adopt the original <style> instead of copying it (a copy would apply twice).
+      // Moved out of the container so it survives the first swap when the next page shares it.
+      if (doc === document) {
+        if (css !== cssContent) style.textContent = css;
+        if (container?.contains(style)) document.head.appendChild(style);
+        style.setAttribute('data-barba-injected', 'true');
+        style.setAttribute('data-barba-css-hash', hash);
+        injected.set(hash, style);
+        return;
       }
+
+      const newStyle = document.createElement('style');
+      newStyle.textContent = css;
+      newStyle.setAttribute('data-barba-injected', 'true');
+      newStyle.setAttribute('data-barba-css-hash', hash);
+      document.head.appendChild(newStyle);
+      injected.set(hash, newStyle);
+      injectedCount++;
     } catch (error) {
       console.error('Failed to inject CSS style:', error);
     }
   });
+
+  let removedCount = 0;
+  if (!diff) {
+    if (injectedCount > 0) console.log(`🎨 Custom CSS: ${injectedCount} added (no diff)`);
+    return;
+  }
+
+  // Outgoing-only styles
+  injected.forEach((style, hash) => {
+    if (wanted.has(hash)) return;
+    style.remove();
+    removedCount++;
+  });
+
+  // Page-scoped stylesheets the new page doesn't declare
+  const wantedLinks = new Set(Array.from(doc.querySelectorAll('link[href][data-barba-load]'))
+    .map(link => normalizeAssetUrl(link.getAttribute('href'))));
+  document.querySelectorAll('link[rel="stylesheet"][data-barba-scope="page"]').forEach((link) => {
+    const url = normalizeAssetUrl(link.href);
+    if (wantedLinks.has(url)) return;
+    assetLoads.delete(url);
+    link.remove();
+  });
   
-  if (injectedCount > 0) {
-    console.log(`🎨 Loaded ${injectedCount} custom CSS style${injectedCount > 1 ? 's' : ''}`);
+  if (injectedCount > 0 || removedCount > 0) {
+    console.log(`🎨 Custom CSS: ${injectedCount} added, ${removedCount} removed, ${wanted.size - injectedCount} kept`);
   }
 }
 
 /**
- * Remove injected CSS styles
+ * Remove injected CSS styles and page-scoped stylesheets
  */
 function removeCustomCSS() {
   const injectedStyles = document.querySelectorAll('style[data-barba-injected="true"]');
   injectedStyles.forEach((style) => style.remove());
+
+  // Page-scoped stylesheets (data-barba-scope="page") are loaded again by the next page if it needs them
+  document.querySelectorAll('link[rel="stylesheet"][data-barba-scope="page"]').forEach((link) => {
+    assetLoads.delete(normalizeAssetUrl(link.href));
+    link.remove();
+  });
 }
 
 // Make essential functions globally available
@@ -862,6 +1900,1204 @@ window.executeCustomScripts = executeCustomScripts;
 window.executeCustomCSS = executeCustomCSS;
 window.removeCustomCSS = removeCustomCSS;
 
+// ============================================
+// LOAD & SCROLL FX ENGINE
+// ============================================
+//
+// Attribute-driven entrance animations:
+// - data-load-fx="preset":   primed hidden before reveal, played after reveal
+// - data-scroll-fx="preset": primed hidden before reveal, played by ScrollTrigger in view
+// Optional overrides: data-fx-delay, data-fx-duration, data-fx-stagger (seconds),
+// data-fx-start (ScrollTrigger start for data-scroll-fx, default "top 85%")
+//
+// HTML Usage:
+// <h1 data-load-fx="blur-in" data-fx-delay="0.2">Title</h1>
+// <ul data-scroll-fx="stagger-children" data-fx-stagger="0.1">...</ul>
+//
+// ============================================
+
+/**
+ * FX presets selected by attribute value
+ * targets: which elements animate (the element itself or its children)
+ * from/to: GSAP start and end states
+ */
+const FX_PRESETS = {
+  'fade-up': {
+    targets: (el) => el,
+    from: { opacity: 0, y: '2rem' },
+    to: { opacity: 1, y: 0 },
+    duration: 0.8,
+    stagger: 0,
+    ease: 'power3.out'
+  },
+  'blur-in': {
+    targets: (el) => el,
+    from: { opacity: 0, filter: 'blur(10px)' },
+    to: { opacity: 1, filter: 'blur(0px)' },
+    duration: 1,
+    stagger: 0,
+    ease: 'power2.out'
+  },
+  'stagger-children': {
+    targets: (el) => Array.from(el.children),
+    from: { opacity: 0, y: '1.5rem' },
+    to: { opacity: 1, y: 0 },
+    duration: 0.6,
+    stagger: 0.08,
+    ease: 'power3.out'
+  },
+  'clip-reveal': {
+    targets: (el) => el,
+    from: { clipPath: 'inset(100% 0% 0% 0%)' },
+    to: { clipPath: 'inset(0% 0% 0% 0%)' },
+    duration: 1,
+    stagger: 0,
+    ease: 'power4.inOut'
+  }
+};
+
+// Active ScrollTriggers and tweens created by the engine (for teardown)
+const fxScrollTriggers = [];
+const fxTweens = new Set();
+
+/**
+ * Read a numeric data-fx-* override, falling back to the preset value
+ */
+function readFxNumber(el, attribute, fallback) {
+  const value = parseFloat(el.getAttribute(attribute));
+  return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Resolve preset + overrides for an element
+ * @param {Element} el - Element with data-load-fx or data-scroll-fx
+ * @param {string} attribute - 'data-load-fx' or 'data-scroll-fx'
+ * @returns {Object|null} - Resolved animation settings, or null for unknown presets
+ */
+function resolveFx(el, attribute) {
+  const name = (el.getAttribute(attribute) || '').trim() || 'fade-up';
+  const preset = FX_PRESETS[name];
+  if (!preset) {
+    console.warn(`⚠️ Unknown FX preset "${name}" on`, el);
+    return null;
+  }
+
+  return {
+    targets: preset.targets(el),
+    from: preset.from,
+    to: preset.to,
+    ease: preset.ease,
+    delay: readFxNumber(el, 'data-fx-delay', 0),
+    duration: readFxNumber(el, 'data-fx-duration', preset.duration),
+    stagger: readFxNumber(el, 'data-fx-stagger', preset.stagger)
+  };
+}
+
+/**
+ * Play a resolved FX on an element and track the tween for cleanup
+ */
+function playFx(el, attribute) {
+  const fx = resolveFx(el, attribute);
+  if (!fx) return;
+
+  el.dataset.fxState = 'played';
+  const tween = window.gsap.to(fx.targets, {
+    ...fx.to,
+    delay: fx.delay,
+    duration: fx.duration,
+    stagger: fx.stagger,
+    ease: fx.ease,
+    onComplete: () => fxTweens.delete(tween)
+  });
+  fxTweens.add(tween);
+}
+
+/**
+ * Prime [data-load-fx] elements into their hidden start state
+ * Call BEFORE the container is revealed to prevent a flash of final state
+ * @param {Element} scope - Container to search in
+ */
+function primeLoadFx(scope = document) {
+  if (!window.gsap || prefersReducedMotion()) return;
+  scope.querySelectorAll('[data-load-fx]').forEach(el => {
+    if (el.dataset.fxState) return;
+    const fx = resolveFx(el, 'data-load-fx');
+    if (!fx) return;
+    window.gsap.set(fx.targets, fx.from);
+    el.dataset.fxState = 'primed';
+  });
+}
+window.primeLoadFx = primeLoadFx;
+
+/**
+ * Play primed [data-load-fx] elements
+ * Call AFTER the container reveal (or after the loader on first load)
+ * @param {Element} scope - Container to search in
+ */
+function playLoadFx(scope = document) {
+  if (!window.gsap) return;
+  scope.querySelectorAll('[data-load-fx][data-fx-state="primed"]').forEach(el => {
+    playFx(el, 'data-load-fx');
+  });
+}
+window.playLoadFx = playLoadFx;
+
+/**
+ * Prime [data-scroll-fx] elements into their hidden start state
+ * Call BEFORE the container is revealed; initScrollFx() creates the triggers later
+ * @param {Element} scope - Container to search in
+ */
+function primeScrollFx(scope = document) {
+  if (!window.gsap || !window.ScrollTrigger || prefersReducedMotion()) return;
+  scope.querySelectorAll('[data-scroll-fx]').forEach(el => {
+    if (el.dataset.fxState) return;
+    const fx = resolveFx(el, 'data-scroll-fx');
+    if (!fx) return;
+    window.gsap.set(fx.targets, fx.from);
+    el.dataset.fxState = 'primed';
+  });
+}
+window.primeScrollFx = primeScrollFx;
+
+/**
+ * Create ScrollTriggers for [data-scroll-fx] elements
+ * Each element is primed hidden (if not already) and plays once when it enters the viewport
+ * @param {Element} scope - Container to search in
+ */
+function initScrollFx(scope = document) {
+  if (!window.gsap || !window.ScrollTrigger || prefersReducedMotion()) return;
+  primeScrollFx(scope);
+  scope.querySelectorAll('[data-scroll-fx][data-fx-state="primed"]').forEach(el => {
+    el.dataset.fxState = 'armed';
+
+    const trigger = window.ScrollTrigger.create({
+      trigger: el,
+      start: el.getAttribute('data-fx-start') || 'top 85%',
+      once: true,
+      onEnter: () => playFx(el, 'data-scroll-fx')
+    });
+    fxScrollTriggers.push(trigger);
+  });
+}
+window.initScrollFx = initScrollFx;
+
+/**
+ * Kill all FX ScrollTriggers and running tweens
+ * Called when leaving a page together with the rest of the teardown
+ */
+function cleanupFx() {
+  fxScrollTriggers.forEach(trigger => {
+    try { trigger.kill(); } catch (e) {}
+  });
+  fxScrollTriggers.length = 0;
+
+  fxTweens.forEach(tween => tween.kill());
+  fxTweens.clear();
+}
+window.cleanupFx = cleanupFx;
+
+// ============================================
+// PAGE MODULES
+// ============================================
+//
+// One registry for page-specific code. A module only starts when its selector
+// matches the page's Barba container; init(container, { on }) may return a promise
+// and its result is passed to destroy(instance). on() is primal.on() released with
+// the module (needed for subscriptions after an await). Instances live in the
+// instanceRegistry, so destroyAll() on leave tears them down and resets the
+// "already initialized" guard (no window.xxxInitialized flags).
+//
+// - primal.define(): called by data-barba-init scripts, starts for the page
+//   whose scripts are running; calling it again on that page is a no-op
+// - pageLibraries.register(): persistent, also started on every later page
+//   whose container matches
+//
+// Barba hooks drive the lifecycle:
+// - once():        initializePageLibraries(container)
+// - leave():       cleanupPageLibraries() (persistent modules)
+// - beforeEnter(): setPageContainer(container) before the page's scripts run
+// - after():       reinitializePageLibraries(container) + await reinitializeScripts()
+//
+// Usage:
+// window.primal.define('accordion', {
+//   selector: '[data-accordion]',
+//   init(container) { ...; return instance; },
+//   destroy(instance) { ... }
+// });
+//
+// Scripts that may run before main.js queue their definitions instead:
+// (window.primalDefineQueue = window.primalDefineQueue || []).push(['accordion', { ... }]);
+//
+// ============================================
+
+const pageModules = new Map();
+let pageModulesReady = Promise.resolve();
+
+// Container of the page being entered (the old one is still in the DOM during beforeEnter)
+let pageContainer = null;
+
+/**
+ * Get the current Barba container (fallback scope for lifecycle calls)
+ */
+function getBarbaContainer() {
+  if (pageContainer?.isConnected) return pageContainer;
+  return document.querySelector('[data-barba="container"]') || document.body;
+}
+
+/**
+ * Set the container modules defined from now on start in
+ */
+function setPageContainer(container) {
+  pageContainer = container || null;
+}
+
+/**
+ * Start a module for a container (if its selector matches)
+ * @returns {Promise} - Resolves with the instance (null if skipped or failed)
+ */
+function startModule(module, container = getBarbaContainer()) {
+  if (module.selector && !window.pageLibraries.matches(module, container)) {
+    return Promise.resolve(null);
+  }
+
+  const run = { active: true, done: false, instance: null, container, subscriptions: [] };
+  module.run = run;
+  const releaseSubscriptions = () => run.subscriptions.splice(0).forEach(off => off());
+
+  // Scoped primal.on() for init code that subscribes after an await
+  const on = (name, handler) => collectSubscriptions(run.subscriptions, () => window.primal.on(name, handler));
+
+  // Registered right away so a leave during an async init still tears it down
+  const registryId = window.instanceRegistry.register(module.name, {
+    destroy() {
+      run.active = false;
+      releaseSubscriptions();
+      if (run.done) return module.destroy?.(run.instance);
+    }
+  }, { container, initialized: false });
+  run.registryId = registryId;
+
+  return Promise.resolve()
+    .then(() => collectSubscriptions(run.subscriptions, () => module.init(container, { on })))
+    .then(instance => {
+      run.instance = instance ?? null;
+      run.done = true;
+      window.instanceRegistry.markInitialized(registryId);
+      return run.instance;
+    }, error => {
+      run.active = false;
+      console.error(`❌ Error initializing module ${module.name}:`, error);
+      return null;
+    })
+    .then(instance => {
+      // Left the page before init finished: tear down the late instance
+      if (!run.active) releaseSubscriptions();
+      if (run.done && !run.active) {
+        try { module.destroy?.(instance); } catch (error) { console.error(`❌ Error destroying ${module.name}:`, error); }
+      }
+      return instance;
+    });
+}
+
+/**
+ * Define a page module (see section comment)
+ * @param {string} name - Unique module name (also the instance registry name)
+ * @param {Object} definition - { selector?, init(container), destroy?(instance), persistent? }
+ * @returns {Promise} - Resolves with the instance (null if skipped)
+ */
+window.primal.define = function define(name, { selector = null, init, destroy, persistent = false } = {}) {
+  if (typeof init !== 'function') {
+    console.warn(`⚠️ Module "${name}" needs an init() function`);
+    return Promise.resolve(null);
+  }
+
+  const existing = pageModules.get(name);
+  if (existing?.run?.active) {
+    console.log(`⏭️ Module already initialized: ${name}`);
+    return existing.ready;
+  }
+
+  const module = { name, selector, init, destroy, persistent, run: null, ready: null };
+  pageModules.set(name, module);
+
+  // Inline scripts can run before the rest of the page is parsed
+  module.ready = document.readyState === 'loading'
+    ? new Promise(resolve => document.addEventListener('DOMContentLoaded', () => resolve(startModule(module)), { once: true }))
+    : startModule(module);
+  return module.ready;
+};
+
+/**
+ * Check whether a defined module is running on the current page
+ */
+window.primal.isDefined = function isDefined(name) {
+  return !!pageModules.get(name)?.run?.active;
+};
+
+/**
+ * Reset every module guard (called by instanceRegistry.destroyAll)
+ * Definitions from the page's scripts are dropped - the next page defines its own
+ */
+function resetModuleGuards() {
+  pageModules.forEach((module, name) => {
+    if (module.run) module.run.active = false;
+    if (!module.persistent) pageModules.delete(name);
+  });
+}
+
+window.pageLibraries = {
+  /**
+   * Register a persistent page library module
+   * @param {string} name - Unique module name
+   * @param {Object} module - { selector, init(container), destroy(instance) }
+   */
+  register(name, { selector, init, destroy } = {}) {
+    if (!selector || typeof init !== 'function') {
+      console.warn(`⚠️ Page library "${name}" needs a selector and an init() function`);
+      return;
+    }
+    window.primal.define(name, { selector, init, destroy, persistent: true });
+  },
+
+  /**
+   * Check whether a module's selector matches inside a container
+   */
+  matches(module, container) {
+    return container.matches?.(module.selector) || !!container.querySelector(module.selector);
+  },
+
+  /**
+   * Start all persistent modules whose selector matches the container
+   * Modules already running are skipped
+   * @param {Element} container - Barba container
+   * @returns {Promise} - Resolves when every matching init() has settled
+   */
+  async initialize(container = getBarbaContainer()) {
+    const starts = [];
+
+    pageModules.forEach(module => {
+      if (!module.persistent || module.run?.active) return;
+      module.ready = startModule(module, container);
+      starts.push(module.ready);
+    });
+
+    await Promise.all(starts);
+  },
+
+  /**
+   * Destroy running modules
+   * @param {Function} filter - Which modules to destroy (default: persistent ones)
+   * @returns {Promise} - Resolves when every destroy has settled
+   */
+  cleanup(filter = module => module.persistent) {
+    const destroys = [];
+
+    pageModules.forEach(module => {
+      if (!module.run?.active || !filter(module)) return;
+      destroys.push(window.instanceRegistry.destroy(module.run.registryId));
+    });
+
+    return Promise.all(destroys);
+  }
+};
+
+/**
+ * Initialize page libraries on first load
+ */
+function initializePageLibraries(container = getBarbaContainer()) {
+  setPageContainer(container);
+  pageModulesReady = window.pageLibraries.initialize(container);
+  return pageModulesReady;
+}
+
+/**
+ * Re-initialize page libraries for the incoming container
+ * Destroys anything still running from the previous page first
+ */
+function reinitializePageLibraries(container = getBarbaContainer()) {
+  setPageContainer(container);
+  const stale = window.pageLibraries.cleanup(module => module.run.container !== container);
+
+  pageModulesReady = stale.then(() => window.pageLibraries.initialize(container));
+  return pageModulesReady;
+}
+
+/**
+ * Destroy persistent page libraries when leaving a page
+ */
+function cleanupPageLibraries() {
+  return window.pageLibraries.cleanup();
+}
+
+/**
+ * Wait for all pending module inits to settle
+ * Called by the after() hook before refreshing ScrollTrigger
+ */
+async function reinitializeScripts() {
+  await pageModulesReady;
+  await Promise.all(Array.from(pageModules.values(), module => module.ready));
+}
+
+window.setPageContainer = setPageContainer;
+window.initializePageLibraries = initializePageLibraries;
+window.reinitializePageLibraries = reinitializePageLibraries;
+window.cleanupPageLibraries = cleanupPageLibraries;
+window.reinitializeScripts = reinitializeScripts;
+
+// Definitions queued by scripts that ran before main.js; later pushes define directly
+const queuedDefinitions = Array.isArray(window.primalDefineQueue) ? window.primalDefineQueue : [];
+window.primalDefineQueue = {
+  push(...entries) {
+    entries.forEach(([name, definition]) => window.primal.define(name, definition));
+  }
+};
+window.primalDefineQueue.push(...queuedDefinitions);
+
+// ============================================
+// SCROLL POSITION MEMORY
+// ============================================
+// Remembers the scroll position of every history entry so back/forward
+// navigations land where the user left. Entries are keyed by a
+// primalScrollKey stored in history.state (falls back to the URL) and
+// persisted in sessionStorage. Forward clicks still scroll to top.
+// Saved when a page is left, hidden or unloaded - not on every scroll frame.
+// ============================================
+
+const SCROLL_MEMORY_STORAGE_KEY = 'primal:scroll-positions';
+const SCROLL_MEMORY_LIMIT = 50;
+
+window.scrollMemory = {
+  paused: false,
+  currentKey: null, // Entry the page on screen belongs to (history.state has moved on by popstate)
+  positions: (() => {
+    try { return JSON.parse(sessionStorage.getItem(SCROLL_MEMORY_STORAGE_KEY)) || {}; } catch (e) { return {}; }
+  })(),
+
+  /**
+   * Get (or create) the key of the current history entry
+   */
+  entryKey() {
+    const existing = window.history.state?.primalScrollKey;
+    if (existing) return existing;
+
+    const key = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    try {
+      // Merge into the existing state so Barba's own history data is preserved
+      window.history.replaceState({ ...(window.history.state || {}), primalScrollKey: key }, '');
+      return key;
+    } catch (e) {
+      return pageCacheKey();
+    }
+  },
+
+  /**
+   * Start tracking the current history entry (after barba.init and each navigation)
+   */
+  track() {
+    this.currentKey = this.entryKey();
+  },
+
+  /**
+   * Store the scroll position for the tracked history entry
+   * Ignored while paused (during transitions the position belongs to no entry)
+   */
+  save(y = window.scrollY) {
+    if (this.paused) return;
+    const key = this.currentKey || this.entryKey();
+    delete this.positions[key];
+    this.positions[key] = Math.round(y);
+
+    const keys = Object.keys(this.positions);
+    if (keys.length > SCROLL_MEMORY_LIMIT) delete this.positions[keys[0]];
+
+    try { sessionStorage.setItem(SCROLL_MEMORY_STORAGE_KEY, JSON.stringify(this.positions)); } catch (e) {}
+  },
+
+  /**
+   * Restore the stored position for the current history entry
+   * Uses Lenis (forced, since Lenis is stopped during transitions)
+   * @returns {boolean} - True if a stored position was applied
+   */
+  restore() {
+    const y = this.positions[window.history.state?.primalScrollKey];
+    if (typeof y !== 'number') return false;
+
+    if (window.lenis) window.lenis.scrollTo(y, { immediate: true, force: true });
+    window.scrollTo(0, y);
+    return true;
+  },
+
+  pause() {
+    this.paused = true;
+  },
+
+  resume() {
+    this.paused = false;
+  }
+};
+
+/**
+ * Check if a Barba trigger is a browser back/forward navigation
+ */
+function isHistoryNavigation(trigger) {
+  return trigger === 'popstate' || trigger === 'back' || trigger === 'forward';
+}
+window.isHistoryNavigation = isHistoryNavigation;
+
+// ============================================
+// NAVIGATION CONTROLLER
+// ============================================
+// Explicit navigation state machine: idle → leaving → loading → entering → idle
+// - Clicks and back/forward during a transition are queued; the latest intent wins
+// - Intents for the page already being loaded are dropped (deduped)
+// - When a transition ends, the address bar is synced to the visible page
+// Other modules can read navigationController.state or subscribe to changes.
+// ============================================
+
+const NAVIGATION_STATES = ['idle', 'leaving', 'loading', 'entering'];
+
+window.navigationController = {
+  state: 'idle',
+  current: null,   // Intent being rendered: { url, trigger, hash, isSpecial, isHistory, state }
+  pending: null,   // Latest queued intent
+  renderedUrl: window.location.href,
+  historyLength: null, // history.length when a back/forward was replayed
+  listeners: new Set(),
+
+  isBusy() {
+    return this.state !== 'idle';
+  },
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} listener - Called with (state, previousState, controller)
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  setState(state) {
+    if (!NAVIGATION_STATES.includes(state) || state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    document.documentElement.setAttribute('data-navigation-state', state);
+    this.listeners.forEach(listener => {
+      try { listener(state, previous, this); } catch (e) { console.error('❌ Navigation listener error:', e); }
+    });
+  },
+
+  /**
+   * Check whether two URLs point to the same page (hash ignored)
+   */
+  isSamePage(a, b) {
+    return !!a && !!b && pageCacheKey(a) === pageCacheKey(b);
+  },
+
+  /**
+   * Request a navigation (from a click or a back/forward)
+   * Starts immediately when idle, otherwise replaces any queued intent
+   * @param {Object} intent - { url, trigger, hash, isSpecial, isHistory, state }
+   * @returns {string} - 'started' | 'queued' | 'ignored'
+   */
+  request(intent) {
+    if (!this.isBusy()) {
+      // Link leaving the current entry (focused again on back); queued clicks belong to no entry
+      if (intent.trigger instanceof Element) window.routeFocus.rememberLink(intent.trigger);
+      this.go(intent);
+      return 'started';
+    }
+
+    // Already loading this page: drop the intent and any older queued one
+    if (this.isSamePage(intent.url, this.current?.url) && !intent.hash) {
+      this.pending = null;
+      console.log('⏭️ Navigation ignored - page already loading');
+      return 'ignored';
+    }
+
+    this.pending = intent;
+    console.log('⏸️ Transition in progress - navigation queued');
+    return 'queued';
+  },
+
+  /**
+   * Hand an intent to Barba (or fall back to a hard navigation)
+   */
+  go(intent) {
+    window.barbaNavigationHash = intent.hash || null;
+    if (intent.isSpecial) {
+      window.barbaSpecialNavButton = true; // Flag for theme switching
+      sessionStorage.setItem('specialNavButton', 'true'); // For <head> theme script
+    }
+
+    if (!window.barba?.go) {
+      window.location.href = intent.url;
+      return;
+    }
+
+    this.current = intent;
+
+    if (!intent.isHistory) {
+      window.barba.go(intent.url, intent.trigger);
+      return;
+    }
+
+    // Back/forward: the browser already moved to the entry, so replay it as the
+    // popstate Barba skipped - without the event Barba pushes a duplicate entry
+    // and loses the direction and the entry state (scroll memory key)
+    this.historyLength = window.history.length;
+    window.barba.go(intent.url, 'popstate', new PopStateEvent('popstate', { state: intent.state }));
+  },
+
+  /**
+   * Called from the leave hook for every transition (including Barba-initiated ones)
+   */
+  begin({ url, trigger }) {
+    this.current = this.isSamePage(this.current?.url, url)
+      ? { ...this.current, url, trigger }
+      : { url, trigger };
+    this.setState('leaving');
+  },
+
+  /**
+   * Called from the after hook: returns to idle and runs the queued intent
+   */
+  finish() {
+    this.renderedUrl = this.current?.url || window.location.href;
+    this.current = null;
+    this.checkHistoryLength();
+    this.setState('idle');
+
+    const pending = this.pending;
+    this.pending = null;
+
+    if (pending && !(this.isSamePage(pending.url, this.renderedUrl) && !pending.hash)) {
+      setTimeout(() => this.request(pending), 100);
+      return;
+    }
+
+    // Nothing queued: make sure the address bar matches the visible page
+    if (!this.isSamePage(window.location.href, this.renderedUrl)) {
+      window.history.replaceState(window.history.state, '', this.renderedUrl);
+    }
+  },
+
+  /**
+   * Replayed back/forward navigations must not add history entries
+   */
+  checkHistoryLength() {
+    if (this.historyLength === null) return;
+    if (window.history.length > this.historyLength) {
+      console.warn('⚠️ Replayed back/forward navigation added a history entry');
+    }
+    this.historyLength = null;
+  },
+
+  /**
+   * Drop all state (used on init)
+   */
+  reset() {
+    this.current = null;
+    this.pending = null;
+    this.historyLength = null;
+    this.setState('idle');
+  },
+
+  /**
+   * Abort a failed navigation: drop all intents and point the address bar
+   * back at the page that is still visible
+   */
+  fail() {
+    this.current = null;
+    this.pending = null;
+    this.historyLength = null;
+    if (!this.isSamePage(window.location.href, this.renderedUrl)) {
+      window.history.replaceState(window.history.state, '', this.renderedUrl);
+    }
+    this.setState('idle');
+  }
+};
+
+// ============================================
+// FOCUS MANAGEMENT & ROUTE ANNOUNCEMENTS
+// ============================================
+// After each Barba navigation:
+// - Forward: focus moves to the hash target, else [data-focus-target] or the page's <h1>
+// - Back/forward: focus returns to the link that was used to leave that page
+// - The new document title is announced through an aria-live region
+// ============================================
+
+const FOCUS_RETURN_STORAGE_KEY = 'primal:focus-return';
+
+window.routeFocus = {
+  liveRegion: null,
+  returnLinks: (() => {
+    try { return JSON.parse(sessionStorage.getItem(FOCUS_RETURN_STORAGE_KEY)) || {}; } catch (e) { return {}; }
+  })(),
+
+  /**
+   * Create the visually hidden aria-live region (once)
+   */
+  ensureLiveRegion() {
+    if (this.liveRegion?.isConnected) return this.liveRegion;
+
+    const region = document.createElement('div');
+    region.id = 'route-announcer';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+    document.body.appendChild(region);
+
+    this.liveRegion = region;
+    return region;
+  },
+
+  /**
+   * Announce a message to screen readers
+   * Cleared first so repeating the same title is still announced
+   */
+  announce(message) {
+    if (!message) return;
+    const region = this.ensureLiveRegion();
+    region.textContent = '';
+    requestAnimationFrame(() => { region.textContent = message; });
+  },
+
+  /**
+   * Remember the link used to leave the current history entry
+   */
+  rememberLink(link) {
+    const key = window.scrollMemory.currentKey || window.scrollMemory.entryKey();
+    delete this.returnLinks[key];
+    this.returnLinks[key] = link.getAttribute('href');
+
+    const keys = Object.keys(this.returnLinks);
+    if (keys.length > SCROLL_MEMORY_LIMIT) delete this.returnLinks[keys[0]];
+
+    try { sessionStorage.setItem(FOCUS_RETURN_STORAGE_KEY, JSON.stringify(this.returnLinks)); } catch (e) {}
+  },
+
+  /**
+   * Focus an element without scrolling, making it focusable if needed
+   */
+  focus(el) {
+    if (!el) return false;
+    if (!el.matches('a[href], button, input, select, textarea, [tabindex]')) {
+      el.setAttribute('tabindex', '-1');
+    }
+    el.focus({ preventScroll: true });
+    return document.activeElement === el;
+  },
+
+  /**
+   * Move focus to the main heading (or skip target) of a container
+   */
+  focusMain(container) {
+    if (!container) return false;
+    const target = container.querySelector('[data-focus-target]') ||
+                   container.querySelector('h1') ||
+                   container;
+    return this.focus(target);
+  },
+
+  /**
+   * Back/forward: focus the link that was used to leave this page
+   * @returns {boolean} - True if the link was found and focused
+   */
+  restoreFocus(container) {
+    const href = this.returnLinks[window.history.state?.primalScrollKey];
+    if (!container || !href) return false;
+    const link = Array.from(container.querySelectorAll('a[href]'))
+      .find(a => a.getAttribute('href') === href);
+    return this.focus(link);
+  },
+
+  /**
+   * Run after a navigation: move focus and announce the new page
+   * @param {Element} container - New Barba container
+   * @param {boolean} isHistory - Back/forward navigation
+   */
+  afterNavigation(container, isHistory) {
+    const focused = (isHistory && this.restoreFocus(container)) ||
+                    this.focus(window.anchorScroll.getTarget(window.location.hash));
+    if (!focused) this.focusMain(container);
+    this.announce(document.title);
+  }
+};
+
+// ============================================
+// ANCHOR SCROLLING
+// ============================================
+// Every in-page anchor (same-page click, cross-page hash, first load with a
+// hash) scrolls through Lenis so ScrollTrigger stays in sync, offset by the
+// fixed nav height. Offset, in order of precedence:
+// - data-scroll-offset on the target (or an ancestor)
+// - data-scroll-offset on the Barba wrapper
+// - --scroll-offset CSS variable on :root
+// Values are CSS lengths ("5rem", "10vh", "80px"; unitless means px)
+// ============================================
+
+const ANCHOR_SCROLL_DURATION = 1.2;
+
+// Webflow widgets that use hash links for their own behaviour (tabs, lightboxes)
+const WEBFLOW_WIDGET_LINKS = '.w-tab-link, [data-w-tab], .w-lightbox';
+
+window.anchorScroll = {
+  /**
+   * Resolve a hash ("#work") to its target element
+   */
+  getTarget(hash) {
+    if (!hash || hash === '#') return null;
+    let id = hash.slice(1);
+    try { id = decodeURIComponent(id); } catch (e) {}
+    return document.getElementById(id) || document.getElementsByName(id)[0] || null;
+  },
+
+  /**
+   * Fixed header offset in pixels for a target
+   */
+  getOffset(target) {
+    const attr = target?.closest?.('[data-scroll-offset]')?.getAttribute('data-scroll-offset') ??
+                 document.querySelector('[data-barba="wrapper"]')?.getAttribute('data-scroll-offset');
+    const value = attr?.trim() ||
+                  getComputedStyle(document.documentElement).getPropertyValue('--scroll-offset').trim();
+    return value ? this.toPixels(value) : 0;
+  },
+
+  /**
+   * Resolve a CSS length ("80", "80px", "5rem", "10vh", calc()) to pixels
+   */
+  toPixels(value) {
+    if (/^-?\d*\.?\d+$/.test(value)) return parseFloat(value); // Unitless = px
+
+    // Let the browser resolve rem/vh/calc() to pixels
+    const probe = document.createElement('div');
+    probe.style.cssText = `position:absolute;visibility:hidden;height:${value};`;
+    document.body.appendChild(probe);
+    const offset = probe.offsetHeight;
+    probe.remove();
+    return offset;
+  },
+
+  /**
+   * Scroll to a hash target
+   * @param {string} hash - "#section"
+   * @param {Object} options - { immediate, updateHash, focus }
+   * @returns {boolean} - False if the target doesn't exist
+   */
+  scrollTo(hash, { immediate = false, updateHash = true, focus = true } = {}) {
+    const target = this.getTarget(hash);
+    if (!target) return false;
+
+    const offset = this.getOffset(target);
+    const instant = immediate || prefersReducedMotion();
+
+    if (updateHash && window.location.hash !== hash) {
+      window.history.replaceState(window.history.state, '', hash);
+    }
+
+    if (window.lenis) {
+      window.lenis.scrollTo(target, { offset: -offset, immediate: instant, duration: ANCHOR_SCROLL_DURATION, force: true });
+    } else {
+      const top = target.getBoundingClientRect().top + window.scrollY - offset;
+      window.scrollTo({ top, behavior: instant ? 'auto' : 'smooth' });
+    }
+
+    if (focus) window.routeFocus.focus(target);
+    return true;
+  }
+};
+
+// ============================================
+// LINK POLICY
+// ============================================
+// Single place that decides how a link is handled. Used by the click
+// interceptor, barba.init prevent() and intent prefetching.
+//
+// Configure internal hosts with either:
+// <script type="application/json" id="primal-link-policy">
+//   { "internalHosts": ["www.studioprimal.com", "studioprimal.com"] }
+// </script>
+// or <div data-barba="wrapper" data-internal-hosts="www.studioprimal.com, studioprimal.com">
+//
+// classify() types:
+// internal  → Barba transition (absolute internal URLs are rewritten to this origin)
+// hash      → anchor on the current page
+// same-page → bare "#" or the current URL: nothing to navigate, left to other click handlers
+// external, new-tab, download, mailto, tel, protocol, prevent → browser default
+// ============================================
+
+const DEFAULT_INTERNAL_HOSTS = [
+  'studioprimal02.webflow.io',
+  'www.studioprimal.com',
+  'studioprimal.com'
+];
+
+window.linkPolicy = {
+  config: null,
+
+  /**
+   * Read config once (JSON script tag, then wrapper data attributes, then defaults)
+   */
+  getConfig() {
+    if (this.config) return this.config;
+
+    let internalHosts = DEFAULT_INTERNAL_HOSTS;
+    const jsonConfig = document.getElementById('primal-link-policy');
+    const wrapperHosts = document.querySelector('[data-barba="wrapper"]')?.getAttribute('data-internal-hosts');
+
+    if (jsonConfig) {
+      try {
+        internalHosts = JSON.parse(jsonConfig.textContent).internalHosts || internalHosts;
+      } catch (e) {
+        console.warn('⚠️ Invalid #primal-link-policy JSON, using default hosts');
+      }
+    } else if (wrapperHosts) {
+      internalHosts = wrapperHosts.split(',').map(host => host.trim()).filter(Boolean);
+    }
+
+    this.config = { internalHosts: [window.location.host, ...internalHosts] };
+    return this.config;
+  },
+
+  isInternalHost(host) {
+    return this.getConfig().internalHosts.includes(host);
+  },
+
+  /**
+   * Decide how a link should be handled
+   * @param {Element} link - Anchor element
+   * @param {Event} event - Optional click event (modifier keys open a new tab)
+   * @returns {Object} - { type, url } where url is the URL to navigate to
+   */
+  classify(link, event = null) {
+    const href = link?.getAttribute?.('href');
+    if (!href) return { type: 'prevent', url: null };
+
+    let url;
+    try {
+      url = new URL(link.href, window.location.href);
+    } catch (e) {
+      return { type: 'prevent', url: null };
+    }
+
+    if (link.closest('[data-barba-prevent]')) return { type: 'prevent', url };
+    if (link.hasAttribute('download')) return { type: 'download', url };
+    if (url.protocol === 'mailto:') return { type: 'mailto', url };
+    if (url.protocol === 'tel:') return { type: 'tel', url };
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return { type: 'protocol', url };
+
+    const opensNewTab = link.target === '_blank' ||
+      (event && (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey || event.button === 1));
+    if (opensNewTab) return { type: 'new-tab', url };
+
+    if (!this.isInternalHost(url.host)) return { type: 'external', url };
+
+    // Internal alias host: navigate on the current origin so Barba can fetch it
+    if (url.host !== window.location.host) {
+      url = new URL(url.pathname + url.search + url.hash, window.location.origin);
+    }
+
+    const isSamePage = url.pathname === window.location.pathname && url.search === window.location.search;
+    if (isSamePage) return { type: url.hash ? 'hash' : 'same-page', url };
+
+    return { type: 'internal', url };
+  }
+};
+
+// ============================================
+// INTENT PREFETCH
+// ============================================
+// Warms the next page before the click so beforeEnter doesn't stall mid-cover:
+// - HTML (Barba cache + shared page document cache)
+// - data-barba-load scripts/CSS (<link rel="preload">)
+// - Hero media ([data-prefetch-hero], else the first image in the container)
+// Triggers: hover/focus (short delay), touchstart, and viewport for links
+// inside [data-prefetch="viewport"]. Opt out with data-prefetch="false".
+// Skipped entirely when Save-Data is on or the connection is 2g.
+// ============================================
+
+const PREFETCH_CONCURRENCY = 2;
+const PREFETCH_HOVER_DELAY = 65;
+
+window.intentPrefetch = {
+  queue: [],
+  active: 0,
+  requested: new Set(),
+  observer: null,
+  hoverTimer: null,
+
+  /**
+   * Respect Save-Data and very slow connections
+   */
+  isAllowed() {
+    const connection = navigator.connection;
+    if (connection?.saveData) return false;
+    return !/2g/.test(connection?.effectiveType || '');
+  },
+
+  /**
+   * Check if a link points to another internal page worth prefetching
+   */
+  isPrefetchable(link) {
+    if (!link || link.closest('[data-prefetch="false"]')) return false;
+    const { type, url } = window.linkPolicy.classify(link);
+    return type === 'internal' && pageCacheKey(url.href) !== pageCacheKey();
+  },
+
+  /**
+   * Queue a page for prefetching (deduped, concurrency capped)
+   * @param {string} url - Page URL
+   * @param {boolean} urgent - Jump the queue (hover/touch beats viewport)
+   */
+  request(url, urgent = false) {
+    if (!this.isAllowed()) return;
+    const key = pageCacheKey(url);
+    if (this.requested.has(key)) return;
+    this.requested.add(key);
+
+    if (urgent) this.queue.unshift(key);
+    else this.queue.push(key);
+    this.pump();
+  },
+
+  pump() {
+    while (this.active < PREFETCH_CONCURRENCY && this.queue.length) {
+      const key = this.queue.shift();
+      this.active++;
+      this.prefetchPage(key)
+        .catch(error => {
+          this.requested.delete(key); // Allow a retry on the next intent
+          console.warn(`⚠️ Prefetch failed: ${key}`, error);
+        })
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  },
+
+  /**
+   * Prefetch a page's HTML, then preload its libraries and hero media
+   */
+  async prefetchPage(key) {
+    // Let Barba cache the HTML when it supports programmatic prefetch;
+    // getPageDocument then reads Barba's cache instead of fetching again
+    if (typeof window.barba?.prefetch === 'function') {
+      try { window.barba.prefetch(key); } catch (e) {}
+    }
+
+    const doc = await getPageDocument(key);
+    this.preloadAssets(doc, key);
+    this.preloadHeroMedia(doc, key);
+  },
+
+  /**
+   * Add <link rel="preload"> for data-barba-load assets not yet on the page
+   * crossorigin/integrity/referrerpolicy must match the later request, or the preload is wasted
+   * @param {string} pageUrl - URL of the prefetched page (relative URLs resolve against it)
+   */
+  preloadAssets(doc, pageUrl) {
+    const preload = (source, value, as) => {
+      if (!value) return;
+      const href = normalizeAssetUrl(value, pageUrl);
+      const loaded = assetLoads.has(href) || (as === 'script'
+        ? findLoadedAsset('script[src]', 'src', href)
+        : findLoadedAsset('link[rel="stylesheet"][href]', 'href', href));
+      if (loaded || findLoadedAsset('link[rel="preload"][href]', 'href', href)) return;
+
+      const link = document.createElement('link');
+      link.rel = 'preload';
+      link.as = as;
+      link.href = href;
+      copyAssetAttributes(source, link);
+      document.head.appendChild(link);
+    };
+
+    doc.querySelectorAll('link[href][data-barba-load]').forEach(el => preload(el, el.getAttribute('href'), 'style'));
+    doc.querySelectorAll('script[src][data-barba-load]').forEach(el => preload(el, el.getAttribute('src'), 'script'));
+  },
+
+  /**
+   * Warm the browser cache with the page's hero image / video poster
+   */
+  preloadHeroMedia(doc, baseUrl) {
+    const container = doc.querySelector('[data-barba="container"]') || doc.body;
+    if (!container) return;
+
+    const hero = container.querySelector('[data-prefetch-hero]') || container.querySelector('img');
+    if (!hero) return;
+
+    const media = hero.matches('img, video') ? hero : hero.querySelector('img, video');
+    const src = media?.tagName === 'VIDEO'
+      ? media.getAttribute('poster')
+      : media?.getAttribute('src');
+    if (!src) return;
+
+    const image = new Image();
+    if (media.tagName === 'IMG' && media.getAttribute('srcset')) {
+      image.sizes = media.getAttribute('sizes') || '100vw';
+      image.srcset = media.getAttribute('srcset');
+    }
+    image.src = new URL(src, baseUrl).href;
+  },
+
+  /**
+   * Observe [data-prefetch="viewport"] links inside a container
+   */
+  observe(scope = document) {
+    if (!('IntersectionObserver' in window) || !this.isAllowed()) return;
+
+    if (!this.observer) {
+      this.observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          this.observer.unobserve(entry.target);
+          this.request(window.linkPolicy.classify(entry.target).url.href);
+        });
+      }, { rootMargin: '200px' });
+    }
+
+    scope.querySelectorAll('[data-prefetch="viewport"] a[href], a[href][data-prefetch="viewport"]').forEach(link => {
+      if (this.isPrefetchable(link)) this.observer.observe(link);
+    });
+  },
+
+  /**
+   * Stop observing links of the outgoing page
+   */
+  disconnect() {
+    this.observer?.disconnect();
+    this.observer = null;
+  }
+};
+
+// Hover/focus intent (short delay filters out cursor fly-overs)
+const onPrefetchIntent = (e) => {
+  const link = e.target.closest?.('a[href]');
+  if (!window.intentPrefetch.isPrefetchable(link)) return;
+  clearTimeout(window.intentPrefetch.hoverTimer);
+  const { url } = window.linkPolicy.classify(link);
+  window.intentPrefetch.hoverTimer = setTimeout(() => window.intentPrefetch.request(url.href, true), PREFETCH_HOVER_DELAY);
+};
+document.addEventListener('mouseover', onPrefetchIntent, { passive: true });
+document.addEventListener('focusin', onPrefetchIntent);
+document.addEventListener('mouseout', () => clearTimeout(window.intentPrefetch.hoverTimer), { passive: true });
+
+// Touch intent: no delay, the click follows right after
+document.addEventListener('touchstart', (e) => {
+  const link = e.target.closest?.('a[href]');
+  if (window.intentPrefetch.isPrefetchable(link)) window.intentPrefetch.request(window.linkPolicy.classify(link).url.href, true);
+}, { passive: true });
+
+// Save the scroll position when the page goes away (leave() saves it on navigations)
+window.addEventListener('pagehide', () => window.scrollMemory.save());
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') window.scrollMemory.save();
+});
+
 // ============================================
 // BARBA.JS PAGE TRANSITIONS
 // ============================================
@@ -876,7 +3112,7 @@ window.removeCustomCSS = removeCustomCSS;
  * Barba.js page transition system
  * Features:
  * - Overlay: bottom-up cover → top-up reveal
- * - Syncs <html data-wf-page> and <body class> from next page
+ * - Syncs <html data-wf-page>, <head> metadata and <body class> from next page
  * - Primes [data-load-fx] BEFORE reveal (no flash)
  * - Runs load + scroll FX AFTER reveal (and on first load)
  * - Stops/starts Lenis; calls video + widow modules
@@ -885,71 +3121,161 @@ window.removeCustomCSS = removeCustomCSS;
   if (window.__BARBA_INIT__) return;
   window.__BARBA_INIT__ = true;
 
-  // Allowed hosts for internal navigation
-  const INTERNAL_HOSTS = [
-    location.host,
-    'studioprimal02.webflow.io',
-    'www.studioprimal.com',
-    'studioprimal.com'
-  ];
+  // Webflow modules re-readied only when the new container has their components
+  const WEBFLOW_MODULE_SELECTORS = {
+    slider: '.w-slider',
+    tabs: '.w-tabs',
+    dropdown: '.w-dropdown',
+    navbar: '.w-nav',
+    lightbox: '.w-lightbox',
+    forms: '.w-form',
+    backgroundVideo: '.w-background-video'
+  };
 
   /**
-   * Re-initialize Webflow runtime for click/hover interactions
+   * Re-bind Webflow interactions after a page swap
+   * Only modules with widgets in the new container are re-readied, and IX2 only
+   * when the container has interactions ([data-w-id]). Webflow has no per-element
+   * API, so those calls still act on the whole document; IX2 is destroyed before
+   * init() so the previous page's interactions aren't bound twice.
+   * No Webflow.destroy(): persistent regions (nav, footer) keep their bindings.
+   * Failures are emitted as the 'error' lifecycle event.
+   * @param {Element} container - New Barba container
    */
-  function reinitIXStable() {
+  function reinitIX(container) {
+    const webflow = window.Webflow;
+    if (!webflow?.require || !container) return;
+
+    const report = (module, error) => {
+      console.warn(`⚠️ Webflow ${module} reinit failed:`, error);
+      window.primal.emit('error', { source: 'webflow', module, error, container });
+    };
+
+    Object.entries(WEBFLOW_MODULE_SELECTORS).forEach(([module, selector]) => {
+      if (!container.querySelector(selector)) return;
+      try {
+        webflow.require(module)?.ready?.();
+      } catch (e) {
+        report(module, e);
+      }
+    });
+
+    // IX2 re-reads the new data-wf-page - left alone for pages without interactions
+    if (!container.querySelector('[data-w-id]')) return;
     try {
-      window.Webflow?.destroy();
-      window.Webflow?.ready?.();
-      window.Webflow?.require?.('ix2').init();
-      setTimeout(() => { try { window.Webflow?.require('ix2').init(); } catch (e) {} }, 0);
+      const ix2 = webflow.require('ix2');
+      ix2?.destroy?.();
+      ix2?.init();
     } catch (e) {
-      console.error('Webflow reinit error:', e);
+      report('ix2', e);
     }
   }
 
   /**
    * Sync HTML and body attributes from next page
-   * Pulls data-wf-page and body class from HTML string
-   * @param {string} nextHTMLString - HTML content of next page
+   * Pulls data-wf-page and body class from the page document
+   * @param {Document|string} source - Next page document or HTML string
    */
-  function syncHtmlAndBodyFromHTML(nextHTMLString) {
-    if (!nextHTMLString) return;
-    const htmlTag = nextHTMLString.match(/<html[^>]*>/i)?.[0];
-    const wfPage = htmlTag && htmlTag.match(/data-wf-page="([^"]+)"/i)?.[1];
+  function syncHtmlAndBodyFromHTML(source) {
+    const doc = toPageDocument(source);
+    if (!doc || doc === document) return;
+
+    const wfPage = doc.documentElement.getAttribute('data-wf-page');
     if (wfPage) document.documentElement.setAttribute('data-wf-page', wfPage);
     
-    const bodyClass = nextHTMLString.match(/<body[^>]*class="([^"]*)"/i)?.[1];
+    const bodyClass = doc.body?.getAttribute('class');
     if (typeof bodyClass === 'string') {
       document.body.className = bodyClass;
     }
   }
 
+  // Head elements kept in sync with the next page
+  const SYNCED_HEAD_SELECTORS = [
+    'meta[name="description"]',
+    'meta[property^="og:"]',
+    'meta[name^="og:"]',
+    'meta[name^="twitter:"]',
+    'meta[property^="twitter:"]',
+    'link[rel="canonical"]',
+    'link[rel="alternate"][hreflang]',
+    'script[type="application/ld+json"]'
+  ];
+
+  /**
+   * Sync <head> metadata from next page
+   * Updates title and html lang, then diffs each synced selector group:
+   * elements missing from the next page are removed, new or changed ones are added
+   * @param {Document|string} source - Next page document or HTML string
+   */
+  function syncHeadFromDocument(source) {
+    const doc = toPageDocument(source);
+    if (!doc || doc === document || !doc.head) return;
+
+    if (doc.title && doc.title !== document.title) document.title = doc.title;
+
+    const lang = doc.documentElement.getAttribute('lang');
+    if (lang) document.documentElement.setAttribute('lang', lang);
+    else document.documentElement.removeAttribute('lang');
+
+    SYNCED_HEAD_SELECTORS.forEach(selector => {
+      const current = Array.from(document.head.querySelectorAll(selector));
+      const incoming = Array.from(doc.head.querySelectorAll(selector));
+      const incomingMarkup = new Set(incoming.map(el => el.outerHTML));
+      const currentMarkup = new Set(current.map(el => el.outerHTML));
+
+      // Remove elements the next page doesn't have (or has with different values)
+      current.forEach(el => {
+        if (!incomingMarkup.has(el.outerHTML)) el.remove();
+      });
+
+      // Add new/changed elements after the last kept element of the group
+      let anchor = current.filter(el => el.isConnected).pop() || null;
+      incoming.forEach(el => {
+        if (currentMarkup.has(el.outerHTML)) return;
+        const clone = document.importNode(el, true);
+        if (anchor) anchor.after(clone);
+        else document.head.appendChild(clone);
+        anchor = clone;
+      });
+    });
+  }
+
   /**
-   * Ensure HTML and body are synced from next page
-   * Fetches HTML if not already available
+   * Get the next page document from the shared page cache
+   * Uses the HTML Barba already fetched; only requests the page if it is missing
    * @param {Object} next - Next page object from Barba
+   * @returns {Promise<Document|null>}
    */
-  async function ensureSyncHtmlBody(next) {
-    let html = next?.html;
-    if (!html && next?.url?.href) {
-      try { html = await fetch(next.url.href, { credentials: 'include' }).then(r => r.text()); } catch (e) {}
+  async function getNextPageDocument(next) {
+    try {
+      return await getPageDocument(next?.url?.href || window.location.href, next?.html);
+    } catch (e) {
+      return null;
     }
-    syncHtmlAndBodyFromHTML(html);
+  }
+
+  /**
+   * Ensure HTML, head and body are synced from next page
+   * @param {Object} next - Next page object from Barba
+   * @returns {Promise<Document|null>} - The next page document
+   */
+  async function ensureSyncHtmlBody(next) {
+    const nextDocument = await getNextPageDocument(next);
+    syncHtmlAndBodyFromHTML(nextDocument);
+    syncHeadFromDocument(nextDocument);
+    return nextDocument;
   }
 
   // ============================================
   // TRANSITION OVERLAY FUNCTIONS
   // ============================================
 
-  // Transition state management
-  let isTransitioning = false;
-  let pendingNavigation = null;
+  // Transition state management (navigation state lives in window.navigationController)
+  const navigation = window.navigationController;
   let barbaInitialized = false;
   let startCalled = false; // Prevent multiple start() calls
 
-  // Easing configuration - change these to update all animations
-  const COVER_EASE = 'power4.inOut';  // Easing for exit/cover animations
-  const REVEAL_EASE = 'Expo.Out';   // Easing for enter/reveal animations
+  // Easings, durations and transforms come from window.transitionSettings.get()
 
   /**
    * Calculate dynamic transform origin based on viewport center
@@ -980,9 +3306,9 @@ window.removeCustomCSS = removeCustomCSS;
    * Runs the exit animation then immediately the enter animation
    */
   async function triggerSamePageTransition() {
-    if (isTransitioning) return;
+    if (navigation.isBusy()) return;
     
-    isTransitioning = true;
+    navigation.begin({ url: window.location.href, trigger: 'self' });
     const container = document.querySelector('[data-barba="container"]');
     
     try {
@@ -990,8 +3316,10 @@ window.removeCustomCSS = removeCustomCSS;
       window.lenis?.stop();
       document.body.style.overflow = 'hidden';
       
+      const transition = transitionRegistry.resolve(transitionRegistry.get(DEFAULT_TRANSITION));
+
       // Run exit animation
-      await coverFromBottom(container);
+      await transition.leave(container);
       
       // Scroll to top while overlay is covering
       window.scrollTo(0, 0);
@@ -1000,7 +3328,7 @@ window.removeCustomCSS = removeCustomCSS;
       await new Promise(resolve => setTimeout(resolve, 100));
       
       // Run enter animation
-      await revealToTop(container);
+      await transition.enter(container);
       
       // Re-enable scroll and restart Lenis
       document.body.style.overflow = '';
@@ -1012,7 +3340,7 @@ window.removeCustomCSS = removeCustomCSS;
       document.body.style.overflow = '';
       window.lenis?.start();
     } finally {
-      isTransitioning = false;
+      navigation.finish();
     }
   }
 
@@ -1025,6 +3353,7 @@ window.removeCustomCSS = removeCustomCSS;
     const footer = document.getElementById('site-footer');
     if (!container) return;
     
+    const settings = window.transitionSettings.get();
     const tl = window.gsap.timeline();
     
     // Animate current container out (blur + move up + scale down) if it exists
@@ -1039,23 +3368,23 @@ window.removeCustomCSS = removeCustomCSS;
       // Separate animations for different easing and timing
       tl.to(container, { 
         opacity: 0, // Fade out
-        duration: 0.6, 
-        ease: COVER_EASE 
+        duration: settings.coverDuration, 
+        ease: settings.coverEase 
       }, 0)
       .to(container, { 
-        filter: 'blur(10px)', // Add blur effect
-        duration: 0.4, 
-        ease: COVER_EASE 
+        filter: `blur(${settings.blur})`, // Add blur effect
+        duration: settings.coverBlurDuration, 
+        ease: settings.coverEase 
       }, 0) // Slight delay for blur
       .to(container, { 
-        scale: 0.95, // Scale down slightly
-        duration: 0.6, 
-        ease: COVER_EASE 
+        scale: settings.scale, // Scale down slightly
+        duration: settings.coverDuration, 
+        ease: settings.coverEase 
       }, 0)
       .to(container, { 
-        y: '-1rem', 
-        duration: 0.6, 
-        ease: COVER_EASE 
+        y: settings.y, 
+        duration: settings.coverDuration, 
+        ease: settings.coverEase 
       }, 0);
     }
     
@@ -1063,13 +3392,13 @@ window.removeCustomCSS = removeCustomCSS;
     if (footer) {
       tl.to(footer, { 
         opacity: 0, // Fade out
-        duration: 0.6, 
-        ease: COVER_EASE 
+        duration: settings.coverDuration, 
+        ease: settings.coverEase 
       }, 0)
       .to(footer, { 
-        filter: 'blur(10px)', // Add blur effect
-        duration: 0.4, 
-        ease: COVER_EASE 
+        filter: `blur(${settings.blur})`, // Add blur effect
+        duration: settings.coverBlurDuration, 
+        ease: settings.coverEase 
       }, 0);
     }
     
@@ -1085,14 +3414,16 @@ window.removeCustomCSS = removeCustomCSS;
     const footer = document.getElementById('site-footer');
     if (!container) return;
     
+    const settings = window.transitionSettings.get();
+    
     // Set initial state for new container
     const dynamicOrigin = calculateViewportCenterTransformOrigin(container);
     window.gsap.set(container, { 
       visibility: 'visible',
       opacity: 0,
-      y: '-1rem',
-      filter: 'blur(10px)',
-      scale: 0.95,
+      y: settings.y,
+      filter: `blur(${settings.blur})`,
+      scale: settings.scale,
       transformOrigin: dynamicOrigin
     });
     
@@ -1102,7 +3433,7 @@ window.removeCustomCSS = removeCustomCSS;
     if (footer) {
       window.gsap.set(footer, { 
         opacity: 0,
-        filter: 'blur(10px)'
+        filter: `blur(${settings.blur})`
       });
     }
     
@@ -1112,23 +3443,23 @@ window.removeCustomCSS = removeCustomCSS;
     // Animate new container in
     tl.to(container, { 
       opacity: 1,
-      duration: 0.6, 
-      ease: REVEAL_EASE
+      duration: settings.revealDuration, 
+      ease: settings.revealEase
     }, 0)
     .to(container, { 
       filter: 'blur(0px)',
-      duration: 0.4, 
-      ease: REVEAL_EASE 
-    }, 0.1)
+      duration: settings.revealBlurDuration, 
+      ease: settings.revealEase 
+    }, settings.revealBlurDelay)
     .to(container, { 
       scale: 1,
-      duration: 0.6, 
-      ease: REVEAL_EASE 
+      duration: settings.revealDuration, 
+      ease: settings.revealEase 
     }, 0)
     .to(container, { 
       y: '0rem', 
-      duration: 0.6, 
-      ease: REVEAL_EASE 
+      duration: settings.revealDuration, 
+      ease: settings.revealEase 
     }, 0)
     .call(() => {
       container.style.pointerEvents = '';
@@ -1138,14 +3469,14 @@ window.removeCustomCSS = removeCustomCSS;
     if (footer) {
       tl.to(footer, { 
         opacity: 1,
-        duration: 0.6, 
-        ease: REVEAL_EASE
+        duration: settings.revealDuration, 
+        ease: settings.revealEase
       }, 0)
       .to(footer, { 
         filter: 'blur(0px)',
-        duration: 0.4, 
-        ease: REVEAL_EASE 
-      }, 0.1);
+        duration: settings.revealBlurDuration, 
+        ease: settings.revealEase 
+      }, settings.revealBlurDelay);
     }
     
     await tl;
@@ -1154,12 +3485,359 @@ window.removeCustomCSS = removeCustomCSS;
   // Export for use in page loader
   window.revealToTop = revealToTop;
 
+  // ============================================
+  // TRANSITION REGISTRY
+  // ============================================
+  //
+  // Named leave/enter animation pairs. All transitions share the same Barba
+  // lifecycle hooks (scroll lock, cleanup, script loading); only the
+  // animations differ. A transition is picked by:
+  // 1. data-transition="name" on the clicked link (or the definition's match(link))
+  // 2. A from/to namespace route
+  // 3. Fallback: 'overlay-swap-clean' (blur/scale cover + reveal)
+  //
+  // Register custom transitions before Barba starts (DOMContentLoaded):
+  // window.transitionRegistry.register('zoom', { leave(container, data) {...}, enter(container, data) {...} });
+  // window.transitionRegistry.route('crossfade', { from: 'case-study', to: 'case-study' });
+  //
+  // ============================================
+
+  const DEFAULT_TRANSITION = 'overlay-swap-clean';
+  const TRANSITION_HOOKS = ['leave', 'afterLeave', 'beforeEnter', 'enter', 'after'];
+  const transitionDefinitions = new Map();
+  const transitionRoutes = [];
+
+  /**
+   * Normalize a namespace rule value to Barba's { namespace: [] } format
+   */
+  function toNamespaceRule(value) {
+    if (!value) return null;
+    return { namespace: Array.isArray(value) ? value : [value] };
+  }
+
+  const transitionRegistry = {
+    /**
+     * Register a named transition
+     * @param {string} name - Name used by data-transition and routes
+     * @param {Object} definition - { leave(container, data), enter(container, data), from?, to?, match?(link) }
+     */
+    register(name, { leave, enter, from, to, match } = {}) {
+      if (typeof leave !== 'function' || typeof enter !== 'function') {
+        console.warn(`⚠️ Transition "${name}" needs leave() and enter() functions`);
+        return;
+      }
+      if (barbaInitialized) {
+        console.warn(`⚠️ Transition "${name}" registered after Barba started - it will not be used until reload`);
+      }
+      transitionDefinitions.set(name, { name, leave, enter, match });
+      if (from || to) this.route(name, { from, to });
+    },
+
+    /**
+     * Use a registered transition for navigations between namespaces
+     * @param {string} name - Registered transition name
+     * @param {Object} rule - { from?: string|string[], to?: string|string[] }
+     */
+    route(name, { from, to } = {}) {
+      transitionRoutes.push({ name, from: toNamespaceRule(from), to: toNamespaceRule(to) });
+    },
+
+    get(name) {
+      return transitionDefinitions.get(name) || transitionDefinitions.get(DEFAULT_TRANSITION);
+    },
+
+    list() {
+      return Array.from(transitionDefinitions.keys());
+    },
+
+    /**
+     * Resolve the definition to run right now
+     * Reduced motion swaps every transition for a simple crossfade
+     */
+    resolve(definition) {
+      return prefersReducedMotion() ? this.get('crossfade') : definition;
+    },
+
+    /**
+     * Build the Barba transitions array
+     * Every definition gets a link rule (custom) and one entry per namespace route;
+     * Barba gives custom rules priority over namespace rules.
+     * @param {Object} hooks - Shared lifecycle hooks, called as hook(data, definition)
+     * @returns {Array} - Barba transition objects
+     */
+    toBarbaTransitions(hooks) {
+      this.hooks = hooks; // Reused by request error recovery
+      const transitions = [];
+
+      const bind = (definition, rules = {}) => {
+        const transition = { name: definition.name, ...rules };
+        TRANSITION_HOOKS.forEach(hook => {
+          transition[hook] = (data) => hooks[hook](data, this.resolve(definition));
+        });
+        return transition;
+      };
+
+      transitionDefinitions.forEach((definition, name) => {
+        if (name === DEFAULT_TRANSITION) return;
+
+        transitions.push(bind(definition, {
+          custom: ({ trigger }) => {
+            if (!trigger?.getAttribute) return false;
+            const requested = trigger.getAttribute('data-transition');
+            return requested ? requested === name : !!definition.match?.(trigger);
+          }
+        }));
+
+        transitionRoutes
+          .filter(route => route.name === name)
+          .forEach(route => {
+            const rules = {};
+            if (route.from) rules.from = route.from;
+            if (route.to) rules.to = route.to;
+            transitions.push(bind(definition, rules));
+          });
+      });
+
+      // Fallback transition (no rules) also handles the first load
+      const fallback = bind(this.get(DEFAULT_TRANSITION));
+      fallback.once = (data) => hooks.once(data, this.get(DEFAULT_TRANSITION));
+      transitions.push(fallback);
+
+      return transitions;
+    }
+  };
+
+  window.transitionRegistry = transitionRegistry;
+
+  /**
+   * Get the site footer (animated together with the container)
+   */
+  const getFooter = () => document.getElementById('site-footer');
+
+  // Built-in transitions
+  transitionRegistry.register(DEFAULT_TRANSITION, {
+    leave: coverFromBottom,
+    enter: revealToTop
+  });
+
+  transitionRegistry.register('crossfade', {
+    async leave(container) {
+      if (!container) return;
+      container.style.pointerEvents = 'none';
+      const { crossfadeEase, crossfadeDuration } = window.transitionSettings.get();
+      await window.gsap.to([container, getFooter()].filter(Boolean), {
+        opacity: 0,
+        duration: crossfadeDuration,
+        ease: crossfadeEase
+      });
+    },
+    async enter(container) {
+      if (!container) return;
+      const footer = getFooter();
+      window.gsap.set(container, { visibility: 'visible', opacity: 0 });
+      if (footer) window.gsap.set(footer, { opacity: 0, filter: 'blur(0px)' });
+      const { crossfadeEase, crossfadeDuration } = window.transitionSettings.get();
+      await window.gsap.to([container, footer].filter(Boolean), {
+        opacity: 1,
+        duration: crossfadeDuration,
+        ease: crossfadeEase
+      });
+      container.style.pointerEvents = '';
+    }
+  });
+
+  transitionRegistry.register('slide', {
+    async leave(container) {
+      if (!container) return;
+      container.style.pointerEvents = 'none';
+      const { coverEase, slideDuration, slideDistance } = window.transitionSettings.get();
+      const tl = window.gsap.timeline();
+      tl.to(container, { x: `-${slideDistance}`, opacity: 0, duration: slideDuration, ease: coverEase }, 0);
+      if (getFooter()) tl.to(getFooter(), { opacity: 0, duration: slideDuration, ease: coverEase }, 0);
+      await tl;
+    },
+    async enter(container) {
+      if (!container) return;
+      const footer = getFooter();
+      const { revealEase, revealDuration, slideDistance } = window.transitionSettings.get();
+      window.gsap.set(container, { visibility: 'visible', opacity: 0, x: slideDistance });
+      if (footer) window.gsap.set(footer, { opacity: 0, filter: 'blur(0px)' });
+      const tl = window.gsap.timeline();
+      tl.to(container, { x: 0, opacity: 1, duration: revealDuration, ease: revealEase }, 0);
+      if (footer) tl.to(footer, { opacity: 1, duration: revealDuration, ease: revealEase }, 0);
+      await tl;
+      container.style.pointerEvents = '';
+    }
+  });
+
+  transitionRegistry.register('wipe', {
+    async leave(container) {
+      if (!container) return;
+      container.style.pointerEvents = 'none';
+      const { coverEase, coverDuration, coverBlurDuration } = window.transitionSettings.get();
+      const tl = window.gsap.timeline();
+      tl.to(container, { clipPath: 'inset(0% 0% 100% 0%)', duration: coverDuration, ease: coverEase }, 0);
+      if (getFooter()) tl.to(getFooter(), { opacity: 0, duration: coverBlurDuration, ease: coverEase }, 0);
+      await tl;
+    },
+    async enter(container) {
+      if (!container) return;
+      const footer = getFooter();
+      window.gsap.set(container, { visibility: 'visible', opacity: 1, clipPath: 'inset(100% 0% 0% 0%)' });
+      if (footer) window.gsap.set(footer, { opacity: 0, filter: 'blur(0px)' });
+      const { revealEase, revealDuration } = window.transitionSettings.get();
+      const tl = window.gsap.timeline();
+      tl.to(container, { clipPath: 'inset(0% 0% 0% 0%)', duration: revealDuration, ease: revealEase }, 0);
+      if (footer) tl.to(footer, { opacity: 1, duration: revealDuration, ease: revealEase }, 0.2);
+      await tl;
+      window.gsap.set(container, { clearProps: 'clipPath' });
+      container.style.pointerEvents = '';
+    }
+  });
+
+  transitionRegistry.register('instant', {
+    async leave(container) {
+      if (container) window.gsap.set(container, { opacity: 0 });
+    },
+    async enter(container) {
+      if (!container) return;
+      window.gsap.set(container, { visibility: 'visible', opacity: 1 });
+      if (getFooter()) window.gsap.set(getFooter(), { opacity: 1, filter: 'blur(0px)' });
+      container.style.pointerEvents = '';
+    }
+  });
+
+  // ============================================
+  // SHARED ELEMENT (FLIP) TRANSITION
+  // ============================================
+  // Used automatically for links containing [data-shared-id] (or
+  // data-transition="shared-element"). The matching outgoing element is
+  // cloned into a fixed "ghost" that stays on screen while the page is
+  // covered, then morphs onto the incoming element with the same
+  // data-shared-id. The rest of the page uses the normal cover/reveal.
+  // No match on the next page: the ghost fades out with the reveal.
+  //
+  // <a href="/work/project"><img data-shared-id="project-hero" ...></a>
+  // Case study: <img data-shared-id="project-hero" ...>
+  // ============================================
+
+  const sharedElements = {
+    ghosts: [],
+
+    /**
+     * Shared elements inside the clicked link that are currently visible
+     */
+    collect(trigger) {
+      if (!trigger?.querySelectorAll) return [];
+      const elements = trigger.matches('[data-shared-id]')
+        ? [trigger]
+        : Array.from(trigger.querySelectorAll('[data-shared-id]'));
+      return elements.filter(el => {
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+      });
+    },
+
+    /**
+     * Clone an element into a fixed layer at its current position
+     */
+    createGhost(el) {
+      const rect = el.getBoundingClientRect();
+      const styles = getComputedStyle(el);
+      const ghost = el.cloneNode(true);
+
+      ghost.removeAttribute('id');
+      ghost.setAttribute('aria-hidden', 'true');
+      ghost.style.cssText += `position:fixed;top:${rect.top}px;left:${rect.left}px;` +
+        `width:${rect.width}px;height:${rect.height}px;margin:0;transform:none;` +
+        `border-radius:${styles.borderRadius};z-index:9999;pointer-events:none;`;
+      document.body.appendChild(ghost);
+
+      // Keep videos playing from the same frame
+      if (el instanceof HTMLVideoElement) {
+        ghost.muted = true;
+        ghost.currentTime = el.currentTime;
+        ghost.play?.().catch(() => {});
+      }
+
+      el.style.visibility = 'hidden';
+      return { id: el.getAttribute('data-shared-id'), ghost, source: el };
+    },
+
+    capture(trigger) {
+      this.discard();
+      this.ghosts = this.collect(trigger).map(el => this.createGhost(el));
+      return this.ghosts.length > 0;
+    },
+
+    /**
+     * Morph each ghost onto its match in the new container
+     * @returns {Promise} - Resolves when every ghost is gone
+     */
+    morph(container) {
+      const { sharedEase, sharedDuration } = window.transitionSettings.get();
+      const ghosts = this.ghosts;
+      this.ghosts = [];
+
+      return Promise.all(ghosts.map(({ id, ghost }) => {
+        const target = container?.querySelector(`[data-shared-id="${CSS.escape(id)}"]`);
+        const rect = target?.getBoundingClientRect();
+
+        if (!target || !rect.width || !rect.height) {
+          return window.gsap.to(ghost, { opacity: 0, duration: sharedDuration / 2, ease: sharedEase })
+            .then(() => ghost.remove());
+        }
+
+        target.style.visibility = 'hidden';
+        return window.gsap.to(ghost, {
+          top: rect.top,
+          left: rect.left,
+          width: rect.width,
+          height: rect.height,
+          borderRadius: getComputedStyle(target).borderRadius,
+          duration: sharedDuration,
+          ease: sharedEase
+        }).then(() => {
+          target.style.visibility = '';
+          ghost.remove();
+        });
+      }));
+    },
+
+    /**
+     * Remove ghosts without animating and show the originals (navigation failed)
+     */
+    discard() {
+      this.ghosts.forEach(({ ghost, source }) => {
+        ghost.remove();
+        source.style.visibility = '';
+      });
+      this.ghosts = [];
+    }
+  };
+
+  transitionRegistry.register('shared-element', {
+    match: (link) => !!link.querySelector?.('[data-shared-id]') || link.hasAttribute?.('data-shared-id'),
+    async leave(container, data) {
+      sharedElements.capture(data?.trigger);
+      await coverFromBottom(container);
+    },
+    async enter(container) {
+      if (!sharedElements.ghosts.length) {
+        await revealToTop(container);
+        return;
+      }
+      // Measure targets before the reveal transforms the container
+      const morph = sharedElements.morph(container);
+      await Promise.all([revealToTop(container), morph]);
+    }
+  });
+
   /**
    * Reset transition state and ensure clean initialization
    */
   function resetTransitionState() {
-    isTransitioning = false;
-    pendingNavigation = null;
+    navigation.reset();
     document.body.style.overflow = '';
     window.lenis?.start();
     
@@ -1184,18 +3862,12 @@ function start() {
 
     // Queue browser back/forward navigation during transitions
     window.addEventListener('popstate', (e) => {
-      if (isTransitioning && !pendingNavigation) {
-        // Block Barba from handling this and queue it
-        e.stopImmediatePropagation();
-        e.preventDefault();
-        
-        pendingNavigation = {
-          url: window.location.href,
-          hash: null,
-          isSpecial: false
-        };
-        console.log('⏸️ Browser back/forward queued - transition in progress');
-      }
+      if (!navigation.isBusy()) return;
+
+      // Block Barba from handling this; the controller replays it when idle
+      e.stopImmediatePropagation();
+      e.preventDefault();
+      navigation.request({ url: window.location.href, trigger: 'popstate', isHistory: true, state: e.state });
     }, true); // Capture phase to intercept before Barba
 
     // Add scroll lock styles for transitions
@@ -1227,103 +3899,224 @@ function start() {
     
     // Manually intercept clicks and trigger Barba
     // Prevents clicks during transitions to avoid interruption
+    // window.linkPolicy decides what counts as an internal page link
     document.addEventListener('click', (e) => {
       const link = e.target.closest('a[href]');
       if (!link) return;
       
-      const href = link.getAttribute('href') || '';
+      const { type, url } = window.linkPolicy.classify(link, e);
       const isSpecialNavButton = link.hasAttribute('special-nav-button');
       
-      // Handle special nav button with hash
-      if (isSpecialNavButton && href.includes('#')) {
+      // Anchor on the same page: Lenis scroll with header offset
+      // (unknown targets fall through to the browser, Webflow tabs & co. handle their own)
+      if (type === 'hash' && !link.matches(WEBFLOW_WIDGET_LINKS) && window.anchorScroll.getTarget(url.hash)) {
         e.preventDefault();
-        e.stopPropagation();
-        
-        window.closeMessageOverlay?.();
-        
-        const linkUrl = new URL(link.href);
-        const currentUrl = new URL(window.location.href);
-        
-        // Same page: smooth scroll
-        if (linkUrl.pathname === currentUrl.pathname) {
-          window.history.replaceState(null, '', link.href);
-          const targetElement = document.querySelector(linkUrl.hash);
-          if (targetElement && window.lenis) {
-            window.lenis.scrollTo(targetElement, { offset: 0, duration: 1.2 });
-          }
-          return;
-        }
-        
-        // Different page: store hash before transition and mark as special navigation
-        window.barbaNavigationHash = linkUrl.hash;
-        window.barbaSpecialNavButton = true; // Flag for theme switching
-        sessionStorage.setItem('specialNavButton', 'true'); // For <head> theme script
-        
-        if (isTransitioning) {
-          // Store URL and flags for queued navigation
-          pendingNavigation = {
-            url: link.href,
-            hash: linkUrl.hash,
-            isSpecial: true
-          };
-          return;
-        }
         
-        window.barba?.go?.(link.href);
+        if (isSpecialNavButton) window.closeMessageOverlay?.();
+        window.anchorScroll.scrollTo(url.hash);
         return;
       }
       
-      // Only handle internal page links
-      if (href.startsWith('/') && !href.startsWith('/#')) {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        // If transition is in progress, queue the navigation
-        if (isTransitioning) {
-          pendingNavigation = {
-            url: link.href,
-            hash: null,
-            isSpecial: false
-          };
-          console.log('⏸️ Transition in progress - navigation queued');
-          return;
-        }
-        
-        if (window.barba && window.barba.go) {
-          window.barba.go(link.href);
-        } else {
-          window.location.href = link.href;
+      // Everything else that isn't an internal page link: browser default
+      if (type !== 'internal') return;
+      
+      e.preventDefault();
+      e.stopPropagation();
+      
+      if (isSpecialNavButton) window.closeMessageOverlay?.();
+      
+      // Starts now, or is queued if a transition is in progress
+      // The hash is scrolled to in enter(); special nav buttons also carry the theme flag
+      // The link is passed as trigger so data-transition can pick the transition
+      navigation.request({
+        url: url.href,
+        trigger: link,
+        hash: url.hash || null,
+        isSpecial: isSpecialNavButton && !!url.hash
+      });
+    }, true);
+
+    // Leave hook in flight (awaited before recovering from request errors)
+    let activeLeave = null;
+
+    // Set by requestError for the navigation in progress: { trigger, url, response }
+    let failedRequest = null;
+
+    /**
+     * Build the lifecycle event payload from Barba hook data
+     */
+    const lifecyclePayload = ({ current, next, trigger } = {}) => ({
+      from: current?.namespace || null,
+      to: next?.namespace || null,
+      url: next?.url?.href || window.location.href,
+      trigger,
+      current: current?.container || null,
+      next: next?.container || null
+    });
+
+    // ============================================
+    // REQUEST ERROR RECOVERY
+    // ============================================
+
+    /**
+     * Show a dismissable toast with Retry / hard-load buttons
+     * Style via .barba-error-toast in Webflow (inline styles are only a fallback)
+     */
+    function showRequestErrorToast(url, message) {
+      document.getElementById('barba-error-toast')?.remove();
+
+      const toast = document.createElement('div');
+      toast.id = 'barba-error-toast';
+      toast.className = 'barba-error-toast';
+      toast.setAttribute('role', 'alert');
+      toast.style.cssText = 'position:fixed;left:50%;bottom:1.5rem;transform:translateX(-50%);z-index:9999;display:flex;gap:0.75rem;align-items:center;padding:0.75rem 1rem;border-radius:0.5rem;background:#111;color:#fff;';
+
+      const text = document.createElement('span');
+      text.textContent = message;
+      toast.appendChild(text);
+
+      const addButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+          toast.remove();
+          onClick();
+        });
+        toast.appendChild(button);
+      };
+      addButton('Retry', () => navigation.request({ url, trigger: 'barba' }));
+      addButton('Open page', () => window.location.assign(url));
+
+      document.body.appendChild(toast);
+      setTimeout(() => toast.remove(), 10000);
+    }
+
+    /**
+     * Bring the still-current page back after its cover animation
+     * Barba skips afterLeave for failed requests, so only what leave() stopped is
+     * restarted - without the 'after' hook (no second page view)
+     */
+    async function revealCurrentPage(container, transition) {
+      window.barbaScrollLockCleanup?.();
+      window.barbaNavigationHash = null;
+
+      if (container) {
+        window.gsap.set(container, { display: 'block' });
+        await transition.enter(container);
+        window.gsap.set(container, {
+          clearProps: 'filter,scale,y,transform,transformOrigin,will-change'
+        });
+        container.style.pointerEvents = '';
+      }
+      document.documentElement.classList.remove('barba-transitioning');
+
+      window.initVideoHoverModule?.();
+      window.initAutoplayVideos?.();
+      window.initVideoOnScrollModule?.();
+      window.reinitializePageLibraries?.(container);
+      window.intentPrefetch.observe(document);
+      window.lenis?.start();
+      window.scrollMemory.resume();
+      navigation.fail();
+    }
+
+    /**
+     * Render the site's 404 page for a missing URL through the normal hooks
+     * Webflow serves its custom 404 page as the body of the 404 response
+     * @returns {boolean} - False if the response has no Barba container
+     */
+    async function renderNotFoundPage(url, trigger, currentContainer) {
+      let html;
+      try {
+        html = await fetch(url, { credentials: 'include' }).then(r => r.text());
+      } catch (e) {
+        return false;
+      }
+
+      const notFoundContainer = toPageDocument(html).querySelector('[data-barba="container"]');
+      const wrapper = currentContainer?.parentNode;
+      if (!notFoundContainer || !wrapper) return false;
+
+      // Seed the shared page cache so beforeEnter reads this document
+      await getPageDocument(url, html);
+
+      const data = {
+        trigger,
+        current: { container: currentContainer, url: { href: navigation.renderedUrl } },
+        next: {
+          container: document.importNode(notFoundContainer, true),
+          namespace: notFoundContainer.getAttribute('data-barba-namespace'),
+          url: { href: url },
+          html
         }
+      };
+      const transition = transitionRegistry.resolve(transitionRegistry.get(DEFAULT_TRANSITION));
+
+      // Barba skipped afterLeave for the failed request
+      await transitionRegistry.hooks.afterLeave(data, transition);
+      wrapper.insertBefore(data.next.container, currentContainer.nextSibling);
+      currentContainer.remove();
+
+      await transitionRegistry.hooks.beforeEnter(data, transition);
+      await transitionRegistry.hooks.enter(data, transition);
+      await transitionRegistry.hooks.after(data, transition);
+      return true;
+    }
+
+    /**
+     * Recover from a failed page request (runs as the failed navigation's after hook,
+     * so Barba resets its data from whichever container is in place afterwards)
+     * - 404: render the site's 404 page through a normal transition
+     * - 5xx: hard navigation so the server's error page is shown
+     * - Network failure / timeout: reveal the current page again + retry toast
+     */
+    async function recoverFromRequestError(data, transition) {
+      const { trigger, url, response } = failedRequest;
+      failedRequest = null;
+      const status = response?.status || 0;
+
+      if (status >= 500) {
+        window.location.assign(url);
+        return;
       }
-    }, true);
+
+      // Barba removed the current container without entering a new one - put it back
+      const container = data.current?.container;
+      if (container && !container.isConnected) {
+        window.barba.dom.addContainer(container, window.barba.wrapper);
+      }
+
+      // Let the cover animation finish before reversing it
+      try { await activeLeave; } catch (e) {}
+      sharedElements.discard();
+
+      if (status === 404 && await renderNotFoundPage(url, trigger, container)) return;
+
+      await revealCurrentPage(container, transition);
+      showRequestErrorToast(url, navigator.onLine === false
+        ? 'You appear to be offline.'
+        : 'This page could not be loaded.');
+    }
 
     window.barba.init({
       links: 'a[href]:not([target="_blank"])',
-      prevent: ({ el }) => {
-        if (!el || !el.href) return true;
-        
-        const href = el.getAttribute('href') || '';
-        const isHash = href.startsWith('#') || href.includes('#');
-        const isDownload = el.hasAttribute('download');
-        const isPrevent = el.hasAttribute('data-barba-prevent');
-        const isRelative = href.startsWith('/');
-        
-        // Allow special nav button even with hash
-        if (el.hasAttribute('special-nav-button') && isHash) return false;
-        
-        let isAllowedHost = false;
-        if (!isRelative) { 
-          try { 
-            isAllowedHost = INTERNAL_HOSTS.includes(new URL(el.href).host); 
-          } catch (e) {}
-        }
-        
-        return (!isRelative && !isAllowedHost) || isHash || isDownload || isPrevent;
-      },
+      // Same policy as the click interceptor: only internal page links transition
+      prevent: ({ el, event }) => window.linkPolicy.classify(el, event).type !== 'internal',
+      // intentPrefetch is the only prefetcher (Save-Data, concurrency cap)
+      prefetchIgnore: true,
       
       requestError: (trigger, action, url, response) => { 
-        console.error('❌ Barba request error:', url);
         barbaInitialized = true; 
+
+        // Failed hover/viewport prefetches need no recovery
+        if (action === 'enter' || action === 'prefetch') return false;
+
+        console.error('❌ Barba request error:', url, response?.status || response);
+
+        // Recovered in the after hook - stop Barba's default forced reload
+        failedRequest = { trigger, url, response };
+        return false;
       },
       
       debug: false,
@@ -1331,11 +4124,20 @@ function start() {
       timeout: 10000,
 
 
-      transitions: [{
-        name: 'overlay-swap-clean',
+      // Shared lifecycle hooks - each registered transition only swaps the
+      // leave/enter animations (see TRANSITION REGISTRY)
+      transitions: transitionRegistry.toBarbaTransitions({
+        async leave(data, transition) {
+          const { current, next, trigger } = data;
+          navigation.begin({ url: next?.url?.href || window.location.href, trigger });
+
+          // Assigned before the first await - a request can fail at any point of the hook
+          let leaveSettled;
+          activeLeave = new Promise(resolve => { leaveSettled = resolve; });
+          await window.primal.emit('beforeLeave', lifecyclePayload(data));
 
-        async leave({ current }) {
-          isTransitioning = true;
+          window.scrollMemory.save(); // Outgoing entry (tracked key - popstate already moved history.state)
+          window.scrollMemory.pause();
           window.lenis?.stop();
           document.documentElement.classList.add('barba-transitioning');
           
@@ -1350,12 +4152,21 @@ function start() {
           window.stopAllAutoplayVideos?.();
           window.stopAllVideoOnScroll?.();
           window.videoManager?.cleanup();
-          window.cleanupPageLibraries?.();
+          const librariesCleaned = window.cleanupPageLibraries?.();
+          window.intentPrefetch.disconnect();
           
-          await coverFromBottom(current?.container);
+          try {
+            await transition.leave(current?.container, data);
+            await librariesCleaned; // Persistent teardown runs alongside the animation, done before the next page inits
+          } finally {
+            leaveSettled();
+          }
         },
 
-        async afterLeave({ current }) {
+        async afterLeave(data) {
+          const { current, trigger } = data;
+          navigation.setState('loading');
+
           // Remove scroll lock and hide old container
           window.barbaScrollLockCleanup?.();
           if (current?.container && window.gsap) {
@@ -1380,11 +4191,12 @@ function start() {
             });
           }
           
-          // Scroll to top (invisible while page is covered) unless hash navigation
-          if (!window.barbaNavigationHash) window.scrollTo(0, 0);
+          // Scroll to top (invisible while page is covered) unless hash or back/forward navigation
+          if (!window.barbaNavigationHash && !isHistoryNavigation(trigger)) window.scrollTo(0, 0);
           
-          // Kill all ScrollTrigger instances before page transition
+          // Kill FX tweens/triggers and all ScrollTrigger instances before page transition
           // They will be recreated on the new page
+          window.cleanupFx?.();
           if (window.ScrollTrigger && typeof window.ScrollTrigger.killAll === 'function') {
             try {
               window.ScrollTrigger.killAll();
@@ -1395,20 +4207,28 @@ function start() {
           
           window.cleanupThemeSwitching?.();
           
-          // Automatic cleanup of all registered instances
-          window.instanceRegistry.destroyAll();
+          // Automatic cleanup of all registered instances (async destroys are awaited)
+          await window.instanceRegistry.destroyAll();
           
           // Execute destroy scripts (for any manual cleanup)
+          // Custom CSS stays until beforeEnter diffs it against the next page
           window.executeCustomScripts?.('destroy');
-          window.removeCustomCSS?.();
+          
+          await window.primal.emit('afterLeave', lifecyclePayload(data));
         },
 
-        async beforeEnter({ next, trigger }) {
+        async beforeEnter(data) {
+          const { next, trigger } = data;
           if (!window.barbaNavigationHash) {
             window.barbaNavigationHash = (!trigger && window.location.hash) || null;
           }
           
-          await ensureSyncHtmlBody(next);
+          const nextDocument = await ensureSyncHtmlBody(next);
+          window.setPageContainer?.(next?.container); // Modules defined by the next page's scripts start there
+          
+          // Hide [data-load-fx] / [data-scroll-fx] elements before the container is revealed
+          window.primeLoadFx?.(next?.container);
+          window.primeScrollFx?.(next?.container);
           
           // Set theme before content becomes visible (prevents flash)
           window.setInitialTheme?.();
@@ -1428,7 +4248,7 @@ function start() {
           if (footer && window.gsap) {
             window.gsap.set(footer, { 
               opacity: 0,
-              filter: 'blur(10px)'
+              filter: `blur(${window.transitionSettings.read('blur')})`
             });
           }
 
@@ -1437,33 +4257,48 @@ function start() {
           window.preloadVideoOnScroll?.();
           
           try {
-            const response = await fetch(window.location.href);
-            const html = await response.text();
-            await window.loadAssetsFromHTML?.(html);
-            await window.executeCustomCSS?.(html);
+            if (!nextDocument) throw new Error('Next page document unavailable');
+            await window.loadAssetsFromHTML?.(nextDocument);
+            await window.executeCustomCSS?.(nextDocument);
             
             // Add small delay for page transitions to ensure DOM is ready
             await new Promise(r => setTimeout(r, 50));
-            await window.executeCustomScripts?.('init', html);
+            await window.executeCustomScripts?.('init', nextDocument);
           } catch (error) {
-            window.executeCustomCSS?.();
-            await new Promise(r => setTimeout(r, 50));
-            window.executeCustomScripts?.('init');
+            // The live document still holds the old container: read the new page only.
+            // Without its full document just the container is known - add, don't diff.
+            let fallbackDocument = nextDocument;
+            if (!fallbackDocument && next?.container) {
+              fallbackDocument = document.implementation.createHTMLDocument('');
+              fallbackDocument.body.appendChild(fallbackDocument.importNode(next.container, true));
+            }
+            if (fallbackDocument) {
+              window.executeCustomCSS?.(fallbackDocument, { diff: !!nextDocument });
+              await new Promise(r => setTimeout(r, 50));
+              await window.executeCustomScripts?.('init', fallbackDocument);
+            }
           }
           
           // Run widow fix before content is revealed to prevent flash
           window.runWidowFix?.();
+          
+          await window.primal.emit('beforeEnter', lifecyclePayload(data));
         },
 
-        async enter({ next, trigger }) {
+        async enter(data, transition) {
+          const { next, trigger } = data;
+          navigation.setState('entering');
           const hash = window.barbaNavigationHash;
           
           // Handle hash navigation (scroll to section)
           if (hash) {
-            window.history.replaceState(null, '', window.location.pathname + hash);
-            document.querySelector(hash)?.scrollIntoView({ behavior: 'instant', block: 'start' });
+            // Focus is moved in after() once the page is interactive
+            window.anchorScroll.scrollTo(hash, { immediate: true, focus: false });
             void document.body.offsetHeight;
             await new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+          } else if (isHistoryNavigation(trigger)) {
+            // Back/forward: restore the position stored for this history entry (top if none)
+            if (!window.scrollMemory.restore()) window.scrollTo(0, 0);
           }
           
           // Evaluate and set theme based on current scroll position BEFORE reveal
@@ -1482,28 +4317,29 @@ function start() {
           }
           
           window.barbaNavigationHash = null;
-          await revealToTop(next?.container);
+          await transition.enter(next?.container, data);
+          window.playLoadFx?.(next?.container);
           
           // Unlock scroll and restart Lenis
           document.documentElement.classList.remove('barba-transitioning');
           window.lenis?.start();
-          isTransitioning = false;
           
-          // Handle pending navigation and restore flags
-          if (pendingNavigation) {
-            const pending = pendingNavigation;
-            pendingNavigation = null;
-            
-            // Restore flags before executing queued navigation
-            if (pending.hash) window.barbaNavigationHash = pending.hash;
-            if (pending.isSpecial) window.barbaSpecialNavButton = true;
-            
-            setTimeout(() => window.barba.go(pending.url), 100);
-          }
+          await window.primal.emit('enter', lifecyclePayload(data));
         },
 
-        async after({ next }) {
-          reinitIXStable();
+        async after(data, transition) {
+          // Failed request: Barba still removes the current container and runs after()
+          if (failedRequest) {
+            const { url } = failedRequest;
+            await recoverFromRequestError(data, transition).catch(error => {
+              console.error('❌ Request error recovery failed, reloading:', error);
+              window.location.assign(url);
+            });
+            return;
+          }
+
+          const { next, trigger } = data;
+          reinitIX(next?.container);
           installLenisScrollTriggerBridge();
 
           // Clear any lingering transforms on both wrapper and container that break position: fixed
@@ -1534,11 +4370,12 @@ function start() {
           window.initVideoOnScrollModule?.();
           window.initScrollToTopButton?.();
           window.initMessageToggle?.();
-          window.reinitializePageLibraries?.(); // Reinitialize page-specific libraries
+          window.reinitializePageLibraries?.(next?.container); // Reinitialize page-specific libraries
           
           // Simple script reinitialization - the standard Barba.js approach
           await window.reinitializeScripts?.();
 
+          window.initScrollFx?.(next?.container);
           try { window.ScrollTrigger.refresh(); } catch (e) {}
           
           // Set up theme observer immediately
@@ -1552,18 +4389,30 @@ function start() {
           const container = next?.container || document.querySelector('[data-barba="container"]');
           if (container) container.style.pointerEvents = '';
           
-          isTransitioning = false;
+          window.intentPrefetch.observe(document); // New container + persistent nav/footer links
+          
+          // Move focus out of the removed container and announce the new page
+          window.routeFocus.afterNavigation(container, isHistoryNavigation(trigger));
+          
+          // Start tracking the new history entry
+          window.scrollMemory.resume();
+          window.scrollMemory.track();
+          
+          await window.primal.emit('after', lifecyclePayload(data));
+          
+          // Back to idle - runs any navigation queued during the transition
+          navigation.finish();
           barbaInitialized = true;
         },
 
-        async once({ next }) {
+        async once(data) {
+          const { next } = data;
           await ensureSyncHtmlBody(next);
           await afterSwapReady(next?.container);
           
           // Preload videos on initial page load
           window.preloadVideoOnScroll?.();
           
-          reinitIXStable();
           installLenisScrollTriggerBridge();
 
           // Reveal content with failsafe
@@ -1614,27 +4463,43 @@ function start() {
             window.applyTheme?.(true); // Force dark mode on initial load
           }
           
+          // First load with a hash: re-align the browser's native jump with the header offset
+          if (window.location.hash) {
+            window.anchorScroll.scrollTo(window.location.hash, { immediate: true, updateHash: false, focus: false });
+          }
+          
           window.initVideoHoverModule?.();
           window.initAutoplayVideos?.();
   window.initVideoOnScrollModule?.();
   window.initScrollToTopButton?.();
           window.initThemeSwitching?.(); // Initialize theme switching on first load
-          window.initializePageLibraries?.(); // Initialize page-specific libraries on first load
+          window.initializePageLibraries?.(next?.container); // Initialize page-specific libraries on first load
+          window.intentPrefetch.observe(document); // Includes persistent nav/footer links
           
           // Run widow fix after all content is ready
           window.runWidowFix?.();
 
+          // Load FX: with a loader, revealOnInitialLoad plays them after the loader exits
+          window.primeLoadFx?.(next?.container);
+          if (!document.querySelector('.loader')) window.playLoadFx?.(next?.container);
+          window.initScrollFx?.(next?.container);
+
           try { window.ScrollTrigger.refresh(); } catch (e) {}
           
           resetTransitionState();
           barbaInitialized = true;
+          
+          await window.primal.emit('once', lifecyclePayload(data));
         }
-      }]
+      })
     });
 
     barbaInitialized = true;
     
-    try { window.barba.prefetch.init(); } catch (e) {}
+    // Keyed after init: Barba's history.init() replaces history.state
+    window.scrollMemory.track();
+    
+    // Prefetching is handled by window.intentPrefetch (HTML + libraries + hero media)
   }
 
   // ============================================
@@ -1886,13 +4751,13 @@ window.Webflow?.push(function() {
   // Initialize scripts and CSS for the current page on load/refresh
   setTimeout(async () => {
     try {
-      const response = await fetch(window.location.href);
-      const html = await response.text();
+      // Shared page cache - the current page is served from the live document
+      const pageDocument = await window.getPageDocument(window.location.href);
       
-      // Process the full HTML for scripts and CSS
-      await window.loadAssetsFromHTML?.(html);
-      await window.executeCustomScripts?.('init', html);
-      await window.executeCustomCSS?.(html);
+      // Process the full page for scripts and CSS
+      await window.loadAssetsFromHTML?.(pageDocument);
+      await window.executeCustomScripts?.('init', pageDocument);
+      await window.executeCustomCSS?.(pageDocument);
     } catch (error) {
       // Fallback to current document
       window.executeCustomScripts?.('init');
@@ -2082,6 +4947,8 @@ window.cleanupThemeSwitching = cleanupThemeSwitching;
 function revealOnInitialLoad(container) {
   if (!container || !window.gsap) return;
   
+  const settings = window.transitionSettings.get();
+  
   // Set transform origin to top center
   const topCenterOrigin = '50% 0%';
   
@@ -2089,9 +4956,9 @@ function revealOnInitialLoad(container) {
     display: 'block',
     visibility: 'visible',
     opacity: 0,
-    y: '4rem',
-    filter: 'blur(10px)',
-    scale: 0.90,
+    y: settings.initialY,
+    filter: `blur(${settings.blur})`,
+    scale: settings.initialScale,
     transformOrigin: topCenterOrigin
   });
   
@@ -2100,10 +4967,11 @@ function revealOnInitialLoad(container) {
   window.gsap.timeline({
     onComplete: () => container.style.pointerEvents = ''
   })
-  .to(container, { opacity: 1, duration: 1, ease: 'power2.out' }, '<')
-  .to(container, { filter: 'blur(0px)', duration: 1.5, ease: 'power2.out' }, 0.35)
-  .to(container, { scale: 1, duration: 1.5, ease: 'power2.out' }, '<')
-  .to(container, { y: '0rem', duration: 1.5, ease: 'power2.out' }, '<');
+  .to(container, { opacity: 1, duration: settings.initialFadeDuration, ease: settings.initialEase }, '<')
+  .to(container, { filter: 'blur(0px)', duration: settings.initialDuration, ease: settings.initialEase }, settings.initialDelay)
+  .to(container, { scale: 1, duration: settings.initialDuration, ease: settings.initialEase }, '<')
+  .to(container, { y: '0rem', duration: settings.initialDuration, ease: settings.initialEase }, '<')
+  .call(() => window.playLoadFx?.(container), null, settings.initialDelay);
 }
 
 function initPageLoader() {
@@ -2133,12 +5001,23 @@ function initPageLoader() {
     if (loader) loader.style.setProperty('display', 'none', 'important');
   }, 5000);
   
+  // Reduced motion: skip the loader choreography and show the page right away
+  if (prefersReducedMotion()) {
+    clearTimeout(failSafe);
+    loader.style.setProperty('display', 'none', 'important');
+    if (container) {
+      gsap.set(container, { display: 'block', visibility: 'visible', opacity: 1 });
+    }
+    return;
+  }
+  
   const loaderContent = loader.querySelector('.loader-content_wrapper');
+  const settings = window.transitionSettings.get();
   
   // Setup - don't touch the Lottie element, preload-lottie.js handles it
   loader.style.setProperty('display', 'block', 'important');
   gsap.set(loader, { top: '0%' });
-  gsap.set(loaderContent, { opacity: 0, filter: 'blur(10px)' });
+  gsap.set(loaderContent, { opacity: 0, filter: `blur(${settings.blur})` });
   if (container) gsap.set(container, { display: 'none' });
   
   // Lock scroll
@@ -2172,12 +5051,12 @@ function initPageLoader() {
   if (loaderContent) {
     // Get initial y value from CSS/Webflow (GSAP will read current transform)
     const initialY = gsap.getProperty(loaderContent, 'y') || 0;
-    tl.to(loaderContent, { opacity: 1, filter: 'blur(0px)', duration: 1, ease: 'power2.out' })
-      .fromTo(loaderContent, { y: initialY }, { y: 0, duration: 0.7, ease: 'power4.out' }, '<')
-      .to(loaderContent, { opacity: 0, filter: 'blur(10px)', duration: 1, ease: 'power2.out', delay: 1})
+    tl.to(loaderContent, { opacity: 1, filter: 'blur(0px)', duration: settings.loaderContentDuration, ease: settings.loaderContentEase })
+      .fromTo(loaderContent, { y: initialY }, { y: 0, duration: settings.loaderContentRiseDuration, ease: settings.loaderContentRiseEase }, '<')
+      .to(loaderContent, { opacity: 0, filter: `blur(${settings.blur})`, duration: settings.loaderContentDuration, ease: settings.loaderContentEase, delay: settings.loaderHold})
   }
   
-  tl.to(loader, { top: '-101%', duration: 1, ease: 'power4.inOut' }, '<')
+  tl.to(loader, { top: '-101%', duration: settings.loaderExitDuration, ease: settings.loaderExitEase }, '<')
     .call(() => container && revealOnInitialLoad(container), null, '<');
 }
 
@@ -2185,4 +5064,184 @@ if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initPageLoader);
 } else {
   initPageLoader();
-}
\ No newline at end of file
+}
+
+// ============================================
+// DEBUG PANEL
+// ============================================
+// Live overlay with transition, registry and scroll state.
+// Enable with ?primal-debug (remembered in localStorage), disable with
+// ?primal-debug=off, or toggle manually: window.primalDebug.enable() / .disable()
+// ============================================
+
+const DEBUG_STORAGE_KEY = 'primal-debug';
+const DEBUG_REFRESH_INTERVAL = 250;
+const DEBUG_PHASES = ['beforeLeave', 'afterLeave', 'beforeEnter', 'enter', 'after'];
+
+window.primalDebug = {
+  panel: null,
+  output: null,
+  timer: null,
+  marks: {},
+  lastTimings: null,
+  unsubscribers: [],
+
+  /**
+   * Check the URL flag first, then the stored preference
+   */
+  isEnabled() {
+    const flag = new URLSearchParams(window.location.search).get('primal-debug');
+    try {
+      if (flag === 'off' || flag === '0' || flag === 'false') localStorage.removeItem(DEBUG_STORAGE_KEY);
+      else if (flag !== null) localStorage.setItem(DEBUG_STORAGE_KEY, 'true');
+      return localStorage.getItem(DEBUG_STORAGE_KEY) === 'true';
+    } catch (e) {
+      return flag !== null && flag !== 'off' && flag !== '0' && flag !== 'false';
+    }
+  },
+
+  enable() {
+    try { localStorage.setItem(DEBUG_STORAGE_KEY, 'true'); } catch (e) {}
+    this.mount();
+  },
+
+  disable() {
+    try { localStorage.removeItem(DEBUG_STORAGE_KEY); } catch (e) {}
+    this.unmount();
+  },
+
+  /**
+   * Record lifecycle timestamps to time each transition phase
+   */
+  trackTimings() {
+    this.unsubscribers = DEBUG_PHASES.map(phase => window.primal.on(phase, () => {
+      if (phase === 'beforeLeave') this.marks = {};
+      this.marks[phase] = performance.now();
+
+      if (phase === 'after' && this.marks.beforeLeave) {
+        const { beforeLeave, afterLeave, beforeEnter, enter, after } = this.marks;
+        const span = (from, to) => (from && to ? `${Math.round(to - from)}ms` : '-');
+        this.lastTimings = {
+          leave: span(beforeLeave, afterLeave),
+          load: span(afterLeave, beforeEnter),
+          enter: span(beforeEnter, enter),
+          after: span(enter, after),
+          total: span(beforeLeave, after)
+        };
+      }
+    }));
+  },
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = 'margin:0.5em 0.5em 0 0;padding:0.25em 0.6em;font:inherit;color:#111;background:#f0f0f0;border:0;border-radius:3px;cursor:pointer;';
+    button.addEventListener('click', onClick);
+    return button;
+  },
+
+  mount() {
+    if (this.panel?.isConnected) return;
+
+    const panel = document.createElement('div');
+    panel.id = 'primal-debug-panel';
+    panel.setAttribute('data-barba-prevent', '');
+    panel.style.cssText = 'position:fixed;left:8px;bottom:8px;z-index:2147483647;max-width:min(420px,calc(100vw - 16px));max-height:60vh;overflow:auto;padding:10px 12px;font:11px/1.45 ui-monospace,SFMono-Regular,Menlo,monospace;color:#e8e8e8;background:rgba(17,17,17,0.9);border-radius:6px;pointer-events:auto;';
+
+    const output = document.createElement('pre');
+    output.style.cssText = 'margin:0;white-space:pre-wrap;word-break:break-all;';
+    panel.appendChild(output);
+
+    panel.appendChild(this.createButton('destroyAll', async () => {
+      await window.instanceRegistry.destroyAll();
+      await window.cleanupPageLibraries?.();
+      this.render();
+    }));
+
+    panel.appendChild(this.createButton('Re-run init', async () => {
+      // Tear down first - script marks and module guards would skip everything otherwise
+      await window.cleanupPageLibraries?.();
+      await window.instanceRegistry.destroyAll();
+
+      const container = document.querySelector('[data-barba="container"]');
+      const pageDocument = await window.getPageDocument(window.location.href).catch(() => null);
+      await window.executeCustomScripts?.('init', pageDocument);
+      await window.reinitializePageLibraries?.(container);
+      window.ScrollTrigger?.refresh();
+      this.render();
+    }));
+
+    panel.appendChild(this.createButton('Close', () => this.disable()));
+
+    document.body.appendChild(panel);
+    this.panel = panel;
+    this.output = output;
+
+    if (!this.unsubscribers.length) this.trackTimings();
+    this.render();
+    this.timer = setInterval(() => this.render(), DEBUG_REFRESH_INTERVAL);
+    console.log('🐞 Debug panel enabled');
+  },
+
+  unmount() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.panel?.remove();
+    this.panel = null;
+    this.output = null;
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  },
+
+  /**
+   * Collect the current state as text lines
+   */
+  snapshot() {
+    const navigation = window.navigationController;
+    const container = document.querySelector('[data-barba="container"]');
+    const instances = window.instanceRegistry.list();
+    const scripts = Array.from(window.instanceRegistry.initializedScripts);
+    const triggers = window.ScrollTrigger?.getAll?.() || [];
+    const videos = Array.from(document.querySelectorAll('video'))
+      .filter(video => !video.paused && !video.ended);
+    const lenis = window.lenis;
+    const list = (items) => (items.length ? items.map(item => `  · ${item}`) : ['  -']);
+
+    return [
+      `namespace   ${container?.getAttribute('data-barba-namespace') || '-'}`,
+      `navigation  ${navigation.state}${navigation.pending ? ` (queued: ${navigation.pending.url})` : ''}`,
+      `lenis       ${lenis ? `${lenis.velocity?.toFixed(2) ?? 0} px/frame @ ${Math.round(lenis.scroll ?? window.scrollY)}px${lenis.isStopped ? ' (stopped)' : ''}` : 'not running'}`,
+      `transition  ${this.lastTimings ? Object.entries(this.lastTimings).map(([phase, time]) => `${phase} ${time}`).join(' · ') : '-'}`,
+      `instances (${instances.length})`,
+      ...list(instances.map(({ id, state }) => `${id} [${state}]`)),
+      `scripts (${scripts.length})`,
+      ...list(scripts),
+      `scrollTriggers (${triggers.length})`,
+      ...list(triggers.slice(0, 10).map(trigger => {
+        const el = trigger.trigger;
+        const name = el ? `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${el.classList[0] ? `.${el.classList[0]}` : ''}` : 'viewport';
+        return `${name}${trigger.isActive ? ' (active)' : ''}`;
+      })),
+      `playing videos (${videos.length})`,
+      ...list(videos.map(video => (video.currentSrc || video.getAttribute('data-video-src') || 'video').split('/').pop()))
+    ];
+  },
+
+  render() {
+    if (!this.output) return;
+    try {
+      this.output.textContent = this.snapshot().join('\n');
+    } catch (error) {
+      this.output.textContent = `Debug panel error: ${error.message}`;
+    }
+  }
+};
+
+if (window.primalDebug.isEnabled()) {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.primalDebug.mount());
+  } else {
+    window.primalDebug.mount();
+  }
+}
@@ -1,11 +1,13 @@
 // Values Slider - Automatic Script
+// Embed with <script data-barba-init data-requires="gsap,Observer" type="text/plain">
+// Guard and cleanup are handled by window.primal.define (main.js)
 (function() {
-  // 1. Manual guard (prevents double execution)
-  if (window.valuesSliderInitialized) {
-    return;
-  }
+  // Queued until main.js has loaded (it defines queued modules on start)
+  const define = window.primal?.define || ((name, definition) => {
+    (window.primalDefineQueue = window.primalDefineQueue || []).push([name, definition]);
+  });
 
-  // 2. Script logic
+  // 1. Script logic
   function initValuesSlider() {
     console.log('🎠 Initializing values slider...');
 
@@ -95,7 +97,8 @@
     });
 
     const tick = (_, deltaTime) => {
-      if (!scrollMultiplier) return;
+      // Reduced motion: no autoscroll (dragging still works)
+      if (!scrollMultiplier || window.prefersReducedMotion?.()) return;
       totalX -= (deltaTime / baseScrollDivisor) * scrollMultiplier;
       xTo(totalX);
     };
@@ -147,11 +150,10 @@
     };
   }
 
-  // 3. Cleanup function
-  function cleanupValuesSlider() {
+  // 2. Cleanup function
+  function cleanupValuesSlider(instanceData) {
     console.log('🧹 Cleaning up values slider...');
     
-    const instanceData = window.valuesSliderInstance;
     if (!instanceData) return;
 
     try {
@@ -185,24 +187,12 @@
     } catch (error) {
       console.error('❌ Error cleaning up values slider:', error);
     }
-
-    // Clear instance data
-    window.valuesSliderInstance = null;
   }
 
-  // 4. Initialize script
-  const instanceData = initValuesSlider();
-  if (instanceData) {
-    // Store instance data for cleanup
-    window.valuesSliderInstance = instanceData;
-
-    // 5. Register cleanup function
-    if (window.instanceRegistry) {
-      window.instanceRegistry.register('valuesSlider', { stop: cleanupValuesSlider }, 'stop');
-    }
-  }
-
-  // 6. Mark as initialized
-  window.valuesSliderInitialized = true;
+  // 3. Initialize when the slider is on the page (instance data is passed to cleanup)
+  define('valuesSlider', {
+    selector: '.values-slider',
+    init: initValuesSlider,
+    destroy: cleanupValuesSlider
+  });
 })();
-
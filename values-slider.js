@@ -82,7 +82,8 @@ if (!sliderSection || !sliderTrack) {
   });
 
   const tick = (_, deltaTime) => {
-    if (!scrollMultiplier) return;
+    // Reduced motion: no autoscroll (dragging still works)
+    if (!scrollMultiplier || window.prefersReducedMotion?.()) return;
     totalX -= (deltaTime / baseScrollDivisor) * scrollMultiplier;
     xTo(totalX);
   };